@@ -97,6 +97,7 @@ function createModel(options) {
   const model = new PPMLanguageModel(vocabulary, options.maxOrder, {
     alpha: options.alpha,
     beta: options.beta,
+    method: options.method,
     useExclusion: options.useExclusion,
     updateExclusion: options.updateExclusion,
     maxNodes: options.maxNodes
@@ -195,6 +196,7 @@ async function main() {
     maxOrder: parseIntArg('--max-order', 5),
     alpha: Number.parseFloat(getArg('--alpha', '0.49')),
     beta: Number.parseFloat(getArg('--beta', '0.77')),
+    method: getArg('--method', 'kn'),
     useExclusion: getArg('--use-exclusion', 'true') !== 'false',
     updateExclusion: getArg('--update-exclusion', 'true') !== 'false',
     maxNodes: parseIntArg('--max-nodes', 0)
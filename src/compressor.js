@@ -0,0 +1,243 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Text compression with arithmetic coding driven by the PPM
+ * language model.
+ *
+ * Every character is coded with the distribution returned by
+ * PPMLanguageModel.getProbs() and the model is then updated with it, so the
+ * decoder can reproduce exactly the same distributions. The compressed size
+ * is a direct measure of how well a model fits a text (bits per character),
+ * as in the Dasher and PPM literature cited in ppm_language_model.js.
+ *
+ * Compressed layout: magic "PPMZ", format version byte, flags byte, the number
+ * of characters, then either the parameters of a fresh model or the size of
+ * the priming model, the symbols missing from the model's vocabulary, and
+ * finally the arithmetic-coded bits.
+ */
+
+import { PPMLanguageModel } from './ppm_language_model.js';
+import { Vocabulary } from './vocabulary.js';
+import { ByteReader, ByteWriter } from './utils/binary-io.js';
+import { ArithmeticDecoder, ArithmeticEncoder, maxTotal } from './utils/arithmetic-coder.js';
+import * as tokenizer from './utils/word-tokenizer.js';
+
+const compressedMagic = [0x50, 0x50, 0x4d, 0x5a]; // "PPMZ"
+const compressedVersion = 1;
+// Flag set when the text was coded with a caller-supplied (primed) model.
+const compressedFlagPrimed = 0x01;
+
+// Frequency total used for quantizing the probabilities. Larger
+// vocabularies get a larger total so that every symbol keeps a non-zero
+// frequency.
+const baseFrequencyTotal = 1 << 20;
+
+/**
+ * Converts a probability vector into cumulative integer frequencies. Every
+ * symbol (except the root symbol) gets a frequency of at least one, so any
+ * symbol can be coded.
+ * @param {!Array<number>} probs Probabilities indexed by symbol.
+ * @return {!Object} Cumulative frequencies (`cumulative[s]` to
+ *     `cumulative[s + 1]` is the interval of symbol s) and their total.
+ */
+function quantize(probs) {
+  const numSymbols = probs.length - 1;
+  const spread = Math.max(baseFrequencyTotal, numSymbols * 16) - numSymbols;
+  const cumulative = new Array(probs.length + 1);
+  cumulative[0] = 0;
+  cumulative[1] = 0;
+  for (let symbol = 1; symbol < probs.length; symbol++) {
+    cumulative[symbol + 1] = cumulative[symbol] + 1 + Math.floor(probs[symbol] * spread);
+  }
+  const total = cumulative[probs.length];
+  if (total > maxTotal) {
+    throw new Error('Vocabulary is too large for arithmetic coding');
+  }
+  return { cumulative, total };
+}
+
+/**
+ * Finds the symbol whose frequency interval contains the target.
+ * @param {!Array<number>} cumulative Cumulative frequencies.
+ * @param {number} target Target frequency.
+ * @return {number} Symbol.
+ */
+function findSymbol(cumulative, target) {
+  let low = 1;
+  let high = cumulative.length - 2;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (cumulative[mid] <= target) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Copies a priming model so that compression does not change it.
+ * @param {!PPMLanguageModel} model Model to copy.
+ * @return {!PPMLanguageModel} Independent copy with its own vocabulary.
+ */
+function cloneModel(model) {
+  return PPMLanguageModel.deserialize(model.serialize());
+}
+
+/**
+ * Compresses a string.
+ *
+ * @param {string} text Text to compress.
+ * @param {Object=} options Compression options. Any other options (alpha,
+ *     beta, useExclusion, ...) are passed to the PPMLanguageModel constructor.
+ * @param {?PPMLanguageModel=} options.model Trained model to prime the coder
+ *     with. It is copied, not modified, and the same model must be passed to
+ *     decompress().
+ * @param {number=} options.maxOrder Context length of the fresh model used
+ *     when no model is supplied (default: 5).
+ * @return {!Uint8Array} Compressed bytes.
+ *
+ * @example
+ * const bytes = compress(text);
+ * const bitsPerChar = bytes.length * 8 / text.length;
+ */
+function compress(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new Error('text must be a string');
+  }
+  const { model: primingModel = null, maxOrder = 5, ...modelOptions } = options;
+  const chars = tokenizer.toCharArray(text);
+
+  const writer = new ByteWriter();
+  writer.writeBytes(Uint8Array.from(compressedMagic));
+  writer.writeUint8(compressedVersion);
+  writer.writeUint8(primingModel ? compressedFlagPrimed : 0);
+  writer.writeVarUint(chars.length);
+
+  let vocabulary;
+  if (primingModel) {
+    writer.writeVarUint(primingModel.vocab_.size());
+    writer.writeVarUint(primingModel.getStats().numNodes);
+    vocabulary = new Vocabulary();
+    primingModel.vocab_.symbols_.forEach(symbol => vocabulary.addSymbol(symbol));
+  } else {
+    writer.writeString(JSON.stringify({ maxOrder, options: modelOptions }));
+    vocabulary = new Vocabulary();
+  }
+
+  // Symbols the decoder does not know yet, in order of first appearance.
+  const baseSize = vocabulary.size();
+  const symbols = chars.map(char => vocabulary.addSymbol(char));
+  const extraSymbols = vocabulary.symbols_.slice(baseSize);
+  writer.writeVarUint(extraSymbols.length);
+  extraSymbols.forEach(symbol => writer.writeString(symbol));
+
+  if (chars.length > 0) {
+    let model;
+    if (primingModel) {
+      model = cloneModel(primingModel);
+      extraSymbols.forEach(symbol => model.vocab_.addSymbol(symbol));
+    } else {
+      model = new PPMLanguageModel(vocabulary, maxOrder, modelOptions);
+    }
+
+    const encoder = new ArithmeticEncoder();
+    const context = model.createContext();
+    for (const symbol of symbols) {
+      const { cumulative, total } = quantize(model.getProbs(context));
+      encoder.encode(cumulative[symbol], cumulative[symbol + 1], total);
+      model.addSymbolAndUpdate(context, symbol);
+    }
+    writer.writeBytes(encoder.finish());
+  }
+
+  return new Uint8Array(writer.toArrayBuffer());
+}
+
+/**
+ * Decompresses bytes produced by compress().
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data Compressed bytes.
+ * @param {Object=} options Decompression options.
+ * @param {?PPMLanguageModel=} options.model The model passed to compress(),
+ *     required when the text was compressed with one.
+ * @return {string} Original text.
+ */
+function decompress(data, options = {}) {
+  const reader = new ByteReader(data);
+  for (const byte of compressedMagic) {
+    if (reader.eof() || reader.readUint8() !== byte) {
+      throw new Error('Invalid compressed data: bad magic bytes');
+    }
+  }
+  const version = reader.readUint8();
+  if (version !== compressedVersion) {
+    throw new Error(`Unsupported compressed data version: ${version}`);
+  }
+  const flags = reader.readUint8();
+  const numChars = reader.readVarUint();
+
+  const primingModel = options.model || null;
+  let vocabulary;
+  let params = null;
+  if (flags & compressedFlagPrimed) {
+    const vocabSize = reader.readVarUint();
+    const numNodes = reader.readVarUint();
+    if (!primingModel) {
+      throw new Error('This data was compressed with a model; pass the same model to decompress()');
+    }
+    if (primingModel.vocab_.size() !== vocabSize ||
+      primingModel.getStats().numNodes !== numNodes) {
+      throw new Error('The supplied model does not match the one used for compression');
+    }
+  } else {
+    params = JSON.parse(reader.readString());
+    vocabulary = new Vocabulary();
+  }
+
+  const numExtraSymbols = reader.readVarUint();
+  const extraSymbols = [];
+  for (let i = 0; i < numExtraSymbols; i++) {
+    extraSymbols.push(reader.readString());
+  }
+  if (numChars === 0) {
+    return '';
+  }
+
+  let model;
+  if (params === null) {
+    model = cloneModel(primingModel);
+    vocabulary = model.vocab_;
+    extraSymbols.forEach(symbol => vocabulary.addSymbol(symbol));
+  } else {
+    extraSymbols.forEach(symbol => vocabulary.addSymbol(symbol));
+    model = new PPMLanguageModel(vocabulary, params.maxOrder, params.options);
+  }
+
+  const decoder = new ArithmeticDecoder(reader.readBytes(reader.bytes.length - reader.offset));
+  const context = model.createContext();
+  const chars = new Array(numChars);
+  for (let i = 0; i < numChars; i++) {
+    const { cumulative, total } = quantize(model.getProbs(context));
+    const symbol = findSymbol(cumulative, decoder.target(total));
+    decoder.consume(cumulative[symbol], cumulative[symbol + 1], total);
+    chars[i] = vocabulary.symbols_[symbol];
+    model.addSymbolAndUpdate(context, symbol);
+  }
+  return tokenizer.fromCharArray(chars);
+}
+
+export { compress, decompress };
@@ -24,20 +24,58 @@ export interface PredictorConfig {
   maxPredictions?: number;
   /** Update model as text is entered (default: false) */
   adaptive?: boolean;
+  /** Undo the adaptive updates of characters deleted from the context (default: false) */
+  adaptiveRollback?: boolean;
+  /** Recent context characters that keep saved contexts for deletion and rollback (default: 1000) */
+  rollbackDepth?: number;
+  /** Learn the mixture weights of the active corpora from the context text (default: false) */
+  adaptiveCorpusWeights?: boolean;
+  /** Forgetting factor of the adaptive corpus weights, 0-1 (default: 0.99) */
+  corpusForgettingFactor?: number;
   /** Optional word list for word prediction */
   lexicon?: string[];
   /** PPM smoothing alpha (default: 0.49) */
   ppmAlpha?: number;
   /** PPM smoothing beta (default: 0.77) */
   ppmBeta?: number;
+  /** PPM estimator: Dasher KN blending or a classic escape method (default: 'kn') */
+  ppmMethod?: PPMMethod;
   /** Enable inference-time exclusion in PPM (default: true) */
   ppmUseExclusion?: boolean;
   /** Enable single-count updates in PPM (default: true) */
   ppmUpdateExclusion?: boolean;
   /** Maximum trie nodes per corpus model (0 = unlimited) */
   ppmMaxNodes?: number;
+  /** What happens at the node budget (default: 'none') */
+  ppmEvictionPolicy?: PPMEvictionPolicy;
+  /** Halve the PPM counts of a context when one exceeds this (0 = unlimited) */
+  ppmCountLimit?: number;
+  /** Rescale all PPM counts every N model updates (0 = never) */
+  ppmDecayInterval?: number;
+  /** Factor applied by the periodic decay (default: 0.5) */
+  ppmDecayFactor?: number;
+  /** Learn PPM alpha/beta per context depth online (default: false) */
+  ppmDynamicParameters?: boolean;
+  /** Step size for the dynamic PPM parameters (default: 0.003) */
+  ppmLearningRate?: number;
+  /** PPM* mode: keep contexts longer than maxOrder for repeated text (default: false) */
+  ppmUnbounded?: boolean;
+  /** Longest context kept in PPM* mode (0 = unlimited) */
+  ppmMaxContextLength?: number;
 }
 
+/**
+ * What a PPM model does at its node budget: 'none' stops adding nodes, 'lru'
+ * evicts the least recently updated leaves and 'lowest-count' the rarest.
+ */
+export type PPMEvictionPolicy = 'none' | 'lru' | 'lowest-count';
+
+/**
+ * PPM probability estimator: 'kn' is the Dasher-style Kneser-Ney blending,
+ * the others are the classic PPM escape methods A, B, C, D and X.
+ */
+export type PPMMethod = 'kn' | 'a' | 'b' | 'c' | 'd' | 'x';
+
 /**
  * PPM parameter options.
  */
@@ -46,12 +84,42 @@ export interface PPMOptions {
   alpha?: number;
   /** Smoothing beta (default: 0.77) */
   beta?: number;
+  /** Probability estimator (default: 'kn'; alpha and beta only apply to 'kn') */
+  method?: PPMMethod;
   /** Enable exclusion at inference time */
   useExclusion?: boolean;
   /** Enable "single counting" updates */
   updateExclusion?: boolean;
   /** Maximum trie nodes for the model (0 = unlimited) */
   maxNodes?: number;
+  /** At the node budget, stop adding nodes ('none', default) or evict leaves */
+  evictionPolicy?: PPMEvictionPolicy;
+  /** Halve all counts in a context when one exceeds this (0 = unlimited) */
+  countLimit?: number;
+  /** Rescale all counts every N updates (0 = never) */
+  decayInterval?: number;
+  /** Factor applied by the periodic decay (default: 0.5) */
+  decayFactor?: number;
+  /** Keep alpha/beta per context depth and learn them online (default: false) */
+  dynamicParameters?: boolean;
+  /** Gradient step size for the dynamic parameters (default: 0.003) */
+  learningRate?: number;
+  /** PPM* mode: unbounded contexts, shortest deterministic context first (default: false) */
+  unbounded?: boolean;
+  /** Memory guard for PPM* mode: longest context kept (0 = unlimited) */
+  maxContextLength?: number;
+  /** Per-depth alphas to restore (maxOrder + 1 values; needs dynamicParameters) */
+  alphas?: number[];
+  /** Per-depth betas to restore (maxOrder + 1 values; needs dynamicParameters) */
+  betas?: number[];
+}
+
+/**
+ * Smoothing parameters for every context depth (0 to maxOrder).
+ */
+export interface DepthParameters {
+  alphas: number[];
+  betas: number[];
 }
 
 /**
@@ -68,6 +136,18 @@ export interface Prediction {
   similarity?: number;
 }
 
+/**
+ * Result of Predictor.predictAt().
+ */
+export interface CursorPredictions {
+  /** Part of the word before the cursor */
+  partialWord: string;
+  /** Next-character predictions */
+  characters: Prediction[];
+  /** Word predictions for the word at the cursor */
+  words: Prediction[];
+}
+
 /**
  * Options for adding a training corpus.
  */
@@ -78,6 +158,8 @@ export interface CorpusOptions {
   enabled?: boolean;
   /** Optional word list specific to this corpus (e.g., French words for French corpus) */
   lexicon?: string[];
+  /** Weight of this corpus in the mixture of active corpora (default: 1) */
+  weight?: number;
 }
 
 /**
@@ -90,6 +172,8 @@ export interface CorpusInfo {
   description: string;
   /** Whether corpus is currently enabled */
   enabled: boolean;
+  /** Weight of the corpus in the mixture of active corpora */
+  weight: number;
 }
 
 /**
@@ -102,6 +186,37 @@ export interface BigramStats {
   totalBigrams: number;
 }
 
+/**
+ * Serialized predictor state produced by Predictor.toJSON().
+ */
+export interface PredictorSnapshot {
+  format: 'ppmpredictor-snapshot';
+  version: number;
+  config: PredictorConfig;
+  vocabulary: string[];
+  corpora: Record<string, {
+    description: string;
+    enabled: boolean;
+    weight: number;
+    posterior: number;
+    lexicon: string[];
+    /** Base64-encoded PPMLanguageModel.serialize() output */
+    model: string;
+    bigrams: Array<[string, number]>;
+  }>;
+  activeCorpora: string[];
+  lastWord: string | null;
+  context: {
+    corpus: string | null;
+    symbols: number[];
+    order: number;
+    /** Context text added since the last resetContext() */
+    text: string;
+    /** Characters whose adaptive updates can still be rolled back */
+    rollback?: Array<{ position: number; corpus: string; symbols: number[]; order: number }>;
+  };
+}
+
 /**
  * Predictor class providing word and letter prediction.
  */
@@ -119,6 +234,13 @@ export class Predictor {
    */
   train(text: string): void;
 
+  /**
+   * Remove previously learned text (PPM counts, trie nodes and bigrams).
+   * @param text Text to forget
+   * @param options corpus: corpus to forget from (default: the current model)
+   */
+  unlearn(text: string, options?: { corpus?: string }): { removedNodes: number; removedBigrams: number };
+
   /**
    * Add a new training corpus with a unique identifier.
    * @param corpusKey Unique identifier for this corpus (e.g., 'medical', 'personal')
@@ -127,6 +249,21 @@ export class Predictor {
    */
   addTrainingCorpus(corpusKey: string, text: string, options?: CorpusOptions): void;
 
+  /**
+   * Train an existing corpus on more text, extending its model and bigrams in place.
+   * @param corpusKey Corpus to extend
+   * @param text Training text
+   */
+  appendToCorpus(corpusKey: string, text: string): void;
+
+  /**
+   * Add words to the lexicon of an existing corpus (trie and BK-tree updated in place).
+   * @param corpusKey Corpus to extend
+   * @param words Words to add
+   * @returns Number of words added
+   */
+  addLexiconWords(corpusKey: string, words: string[]): number;
+
   /**
    * Enable specific training corpora for predictions.
    * Disables all other corpora.
@@ -153,6 +290,19 @@ export class Predictor {
    */
   getCorpusInfo(corpusKey: string): CorpusInfo;
 
+  /**
+   * Set the mixture weights of training corpora.
+   * Active corpora are mixed in proportion to their weights.
+   * @param weights Positive weight for each corpus key
+   */
+  setCorpusWeights(weights: Record<string, number>): void;
+
+  /**
+   * Get the current mixture weights of the active corpora (the learned
+   * posterior with adaptiveCorpusWeights), normalized to add up to one.
+   */
+  getCorpusWeights(): Record<string, number>;
+
   /**
    * Remove a training corpus.
    * Cannot remove the 'default' corpus.
@@ -172,13 +322,32 @@ export class Predictor {
    */
   addToContext(text: string, update?: boolean): void;
 
+  /**
+   * Delete characters from the end of the context, as a backspace would.
+   * @param n Number of characters to delete (default: 1)
+   * @param options rollback undoes their adaptive updates (defaults to config.adaptiveRollback)
+   * @returns The deleted text
+   */
+  deleteFromContext(n?: number, options?: { rollback?: boolean }): string;
+
+  /**
+   * Set the context to the given text, deleting and adding only what changed.
+   * @param text New context text
+   * @param options update and rollback default to config.adaptive and config.adaptiveRollback
+   */
+  setContext(text: string, options?: { update?: boolean; rollback?: boolean }): void;
+
   /**
    * Get character/letter predictions.
    * Merges predictions from all active training corpora.
    * @param context Optional context string (uses current context if not provided)
+   * @param options Only predict `allowedCharacters`, renormalized to sum to 1 over them
    * @returns Array of character predictions
    */
-  predictNextCharacter(context?: string): Prediction[];
+  predictNextCharacter(
+    context?: string | null,
+    options?: { allowedCharacters?: string | string[] }
+  ): Prediction[];
 
   /**
    * Get word completion predictions.
@@ -196,17 +365,31 @@ export class Predictor {
    */
   predictNextWord(currentWord: string, maxPredictions?: number): Prediction[];
 
+  /**
+   * Predict at a cursor position, re-ranking the candidates with the text after it.
+   * @param text Full text
+   * @param cursorIndex Cursor position from 0 to text.length
+   * @param options Number of characters after the cursor used for re-ranking (default: 16)
+   */
+  predictAt(
+    text: string,
+    cursorIndex: number,
+    options?: { rightContextLength?: number }
+  ): CursorPredictions;
+
   /**
    * Export learned bigrams as text.
+   * @param options corpus: corpus to export (default: 'default')
    * @returns Bigrams in text format (one per line: "word1 word2 count")
    */
-  exportBigrams(): string;
+  exportBigrams(options?: { corpus?: string }): string;
 
   /**
    * Import bigrams from text.
    * @param bigramText Bigrams in text format
+   * @param options corpus: corpus to add them to (default: 'default')
    */
-  importBigrams(bigramText: string): void;
+  importBigrams(bigramText: string, options?: { corpus?: string }): void;
 
   /**
    * Clear all learned bigrams.
@@ -215,14 +398,58 @@ export class Predictor {
 
   /**
    * Get bigram statistics.
+   * @param options corpus: corpus to report on (default: 'default')
    * @returns Bigram statistics
    */
-  getBigramStats(): BigramStats;
+  getBigramStats(options?: { corpus?: string }): BigramStats;
 
   /**
    * Get PPM stats per corpus (node counts and budget counters).
    */
-  getPPMStats(): Record<string, { numNodes: number; maxNodes: number; skippedNodeAdds: number }>;
+  getPPMStats(): Record<string, PPMStats>;
+
+  /**
+   * Get the PPM alpha/beta used at every context depth, per corpus.
+   */
+  getPPMParameters(): Record<string, DepthParameters>;
+
+  /**
+   * Export the n-grams a corpus model has learned as a TSV or JSON table.
+   */
+  exportNgrams(options?: NgramTableOptions & { corpus?: string; format?: 'tsv' | 'json' }): string;
+
+  /**
+   * Summarize the n-grams of every corpus model (per order, branching factor, top contexts).
+   */
+  getNgramSummary(options?: NgramSummaryOptions): Record<string, NgramSummary>;
+
+  /**
+   * Score a text with the character models (bits per character, perplexity
+   * and per-position log-probabilities).
+   * @param text Text to evaluate
+   * @param options Corpora to evaluate (default: active) and adaptive mode
+   */
+  evaluateText(
+    text: string,
+    options?: { corpora?: string | string[]; adaptive?: boolean }
+  ): TextEvaluation;
+
+  /**
+   * Generate text by sampling characters from the character models.
+   */
+  generate(options?: GenerateOptions): string;
+
+  /**
+   * Capture the complete predictor state (config, vocabulary, corpora,
+   * bigrams and live context) as a JSON-compatible snapshot.
+   */
+  toJSON(): PredictorSnapshot;
+
+  /**
+   * Restore a predictor from a snapshot produced by toJSON().
+   * @param snapshot Snapshot object or its JSON string
+   */
+  static fromSnapshot(snapshot: PredictorSnapshot | string): Predictor;
 
   /**
    * Get current configuration.
@@ -237,18 +464,217 @@ export class Predictor {
   updateConfig(newConfig: Partial<PredictorConfig>): void;
 }
 
+/**
+ * Symbol with its probability, as returned by PPMLanguageModel.getTopK().
+ */
+export interface SymbolProbability {
+  symbol: number;
+  probability: number;
+}
+
+/**
+ * Result of PPMLanguageModel.evaluate().
+ */
+export interface EvaluationResult {
+  numSymbols: number;
+  /** Base-2 log-probability of every symbol */
+  logProbs: number[];
+  totalBits: number;
+  bitsPerSymbol: number;
+  perplexity: number;
+}
+
+/**
+ * Options for Predictor.generate().
+ */
+export interface GenerateOptions {
+  prefix?: string;
+  maxLength?: number;
+  temperature?: number;
+  topK?: number;
+  seed?: number;
+  stopAt?: string | string[];
+  corpora?: string | string[];
+}
+
+/**
+ * Totals reported by Predictor.evaluateText().
+ */
+export interface EvaluationTotals {
+  totalBits: number;
+  bitsPerCharacter: number;
+  perplexity: number;
+}
+
+/**
+ * Result of Predictor.evaluateText().
+ */
+export interface TextEvaluation extends EvaluationTotals {
+  numCharacters: number;
+  /** Base-2 log-probability of every character under the corpus mixture */
+  logProbs: number[];
+  /** Totals for each evaluated corpus on its own */
+  corpora: Record<string, EvaluationTotals>;
+}
+
+/**
+ * Options for PPMLanguageModel.prune().
+ */
+export interface PruneOptions {
+  /** Prune contexts whose symbol counts sum to less than this (default: 0) */
+  minCount?: number;
+  /** Remove nodes predicting from contexts longer than this order */
+  maxOrderToKeep?: number;
+  /** Raise the count threshold until at most this many nodes remain */
+  targetNodes?: number;
+}
+
+/**
+ * Statistics returned by PPMLanguageModel.prune().
+ */
+export interface PruneStats {
+  numNodesBefore: number;
+  numNodesAfter: number;
+  removedNodes: number;
+  removedByCount: number;
+  removedByOrder: number;
+  /** Count threshold actually applied (Infinity if targetNodes was unreachable) */
+  countThreshold: number;
+}
+
+/**
+ * PPM trie statistics.
+ */
+export interface PPMStats {
+  numNodes: number;
+  maxNodes: number;
+  skippedNodeAdds: number;
+  /** Nodes evicted at the node budget (see evictionPolicy) */
+  evictedNodes: number;
+  /** Number of node slots allocated (grows by doubling) */
+  nodeCapacity: number;
+  /** Bytes allocated for the trie nodes */
+  bytes: number;
+}
+
+/**
+ * N-gram stored in the PPM trie, as yielded by PPMLanguageModel.ngrams().
+ */
+export interface Ngram {
+  /** Context symbols, oldest first */
+  context: number[];
+  symbol: number;
+  count: number;
+  /** Context length */
+  order: number;
+}
+
+/**
+ * Filters for n-gram iteration and tables.
+ */
+export interface NgramTableOptions {
+  /** Skip contexts longer than this */
+  maxOrder?: number;
+  /** Skip n-grams with a lower count */
+  minCount?: number;
+}
+
+/**
+ * N-gram table row with the symbols spelled out.
+ */
+export interface NgramRow {
+  order: number;
+  context: string;
+  symbol: string;
+  count: number;
+}
+
+/**
+ * Options for summarizeNgrams().
+ */
+export interface NgramSummaryOptions {
+  /** Skip contexts longer than this */
+  maxOrder?: number;
+  /** Number of most frequent non-empty contexts to list (default: 10) */
+  topContexts?: number;
+}
+
+/**
+ * Summary of the n-grams of a model.
+ */
+export interface NgramSummary {
+  numNgrams: number;
+  /** Statistics for every context length */
+  orders: Array<{
+    order: number;
+    numContexts: number;
+    numNgrams: number;
+    totalCount: number;
+    /** Average number of distinct symbols seen in a context */
+    branchingFactor: number;
+  }>;
+  /** Most frequent non-empty contexts */
+  topContexts: Array<{
+    context: string;
+    order: number;
+    count: number;
+    numSymbols: number;
+    topSymbol: string;
+  }>;
+}
+
 /**
  * PPM Language Model class (for advanced usage).
  */
 export class PPMLanguageModel {
   constructor(vocab: Vocabulary, maxOrder: number, options?: PPMOptions);
   setParameters(options: PPMOptions): void;
-  getStats(): { numNodes: number; maxNodes: number; skippedNodeAdds: number };
+  getStats(): PPMStats;
   createContext(): any;
   cloneContext(context: any): any;
   addSymbolToContext(context: any, symbol: number): void;
   addSymbolAndUpdate(context: any, symbol: number): void;
-  getProbs(context: any): number[];
+  /** Probabilities indexed by symbol; allowedSymbols restricts and renormalizes them. */
+  getProbs(context: any, options?: { allowedSymbols?: number[] }): number[];
+  /** Probability of one symbol, without building the full distribution. */
+  getProb(context: any, symbol: number): number;
+  /** The k most probable symbols, most probable first. */
+  getTopK(context: any, k: number): SymbolProbability[];
+  /** Score a symbol sequence (bits per symbol, perplexity, log-probabilities). */
+  evaluate(symbols: number[], options?: { adaptive?: boolean; context?: any }): EvaluationResult;
+  /** Serialize the trie, parameters and (optionally) vocabulary to a binary buffer. */
+  serialize(options?: { includeVocabulary?: boolean }): ArrayBuffer;
+  /** Restore a model written by serialize(). */
+  static deserialize(
+    buffer: ArrayBuffer | ArrayBufferView,
+    options?: { vocab?: Vocabulary }
+  ): PPMLanguageModel;
+  /** Describe a context as a trie path that survives serialization. */
+  exportContext(context: any): { symbols: number[]; order: number };
+  /** Recreate a context described by exportContext(). */
+  importContext(state: { symbols: number[]; order: number }): any;
+  /** Permanently remove low-count and high-order nodes from the trie. */
+  prune(options?: PruneOptions): PruneStats;
+  /** Add another model's counts node by node (symbols are matched by name; addSymbols extends the vocabulary). */
+  merge(other: PPMLanguageModel, options?: { addSymbols?: boolean }): {
+    numNodesBefore: number;
+    numNodesAfter: number;
+    addedNodes: number;
+    skippedNodes: number;
+  };
+  /** Reverse the count updates of a learned symbol sequence, deleting unneeded nodes. */
+  forget(
+    symbols: number[],
+    options?: { context?: any }
+  ): { numNodesBefore: number; numNodesAfter: number; removedNodes: number };
+  /** Scale every count in the trie by factor (default: 0.5), keeping counts >= 1. */
+  rescaleCounts(factor?: number): void;
+  /** Render the trie (child and dashed backoff edges) in the Graphviz DOT language. */
+  toDot(options?: { maxDepth?: number; minCount?: number; showBackoff?: boolean }): string;
+  /** Walk the trie depth first, yielding every stored n-gram. */
+  ngrams(options?: NgramTableOptions): IterableIterator<Ngram>;
+  /** Alpha and beta used at every context depth (learned ones if dynamic). */
+  getDepthParameters(): DepthParameters;
   printToConsole(): void;
 }
 
@@ -413,3 +839,47 @@ export function levenshteinDistance(str1: string, str2: string): number;
  * @returns Similarity score (0-1)
  */
 export function similarityScore(str1: string, str2: string): number;
+
+/**
+ * Options for compress().
+ */
+export interface CompressOptions extends PPMOptions {
+  /** Trained model to prime the coder with (copied, not modified) */
+  model?: PPMLanguageModel;
+  /** Context length of the fresh model used when no model is given (default: 5) */
+  maxOrder?: number;
+}
+
+/**
+ * Compress a string with arithmetic coding driven by an adaptive PPM model.
+ * @param text Text to compress
+ * @param options Priming model or parameters of a fresh model
+ * @returns Compressed bytes
+ */
+export function compress(text: string, options?: CompressOptions): Uint8Array;
+
+/**
+ * Decompress bytes produced by compress().
+ * @param data Compressed bytes
+ * @param options The model passed to compress(), if any
+ * @returns Original text
+ */
+export function decompress(
+  data: ArrayBuffer | ArrayBufferView,
+  options?: { model?: PPMLanguageModel }
+): string;
+
+/**
+ * Write the n-grams of a model as TSV (order, context, symbol, count).
+ */
+export function toNgramTSV(model: PPMLanguageModel, options?: NgramTableOptions): string;
+
+/**
+ * Write the n-grams of a model as JSON ({ maxOrder, ngrams: NgramRow[] }).
+ */
+export function toNgramJSON(model: PPMLanguageModel, options?: NgramTableOptions): string;
+
+/**
+ * Summarize the n-grams of a model.
+ */
+export function summarizeNgrams(model: PPMLanguageModel, options?: NgramSummaryOptions): NgramSummary;
@@ -22,6 +22,8 @@
 import { Predictor } from './predictor.js';
 import { PPMLanguageModel } from './ppm_language_model.js';
 import { Vocabulary } from './vocabulary.js';
+import { compress, decompress } from './compressor.js';
+import { summarizeNgrams, toNgramJSON, toNgramTSV } from './ngram_table.js';
 import fuzzyMatcher from './utils/fuzzy-matcher.js';
 import wordTokenizer from './utils/word-tokenizer.js';
 
@@ -38,12 +40,24 @@ import wordTokenizer from './utils/word-tokenizer.js';
  * @param {boolean} [config.caseSensitive=false] - Case-sensitive matching
  * @param {number} [config.maxPredictions=10] - Maximum number of predictions
  * @param {boolean} [config.adaptive=false] - Update model as text is entered
+ * @param {boolean} [config.adaptiveRollback=false] - Undo adaptive updates of deleted characters
+ * @param {boolean} [config.adaptiveCorpusWeights=false] - Learn corpus mixture weights from the context
+ * @param {number} [config.corpusForgettingFactor=0.99] - Forgetting factor of adaptive corpus weights
  * @param {Array<string>} [config.lexicon=[]] - Optional word list for word prediction
  * @param {number} [config.ppmAlpha=0.49] - PPM smoothing alpha
  * @param {number} [config.ppmBeta=0.77] - PPM smoothing beta
+ * @param {string} [config.ppmMethod='kn'] - PPM estimator ('kn', 'a', 'b', 'c', 'd' or 'x')
  * @param {boolean} [config.ppmUseExclusion=true] - Enable inference-time exclusion
  * @param {boolean} [config.ppmUpdateExclusion=true] - Enable single-count updates
  * @param {number} [config.ppmMaxNodes=0] - Maximum trie nodes per model (0 = unlimited)
+ * @param {string} [config.ppmEvictionPolicy='none'] - At the node budget: 'none', 'lru' or 'lowest-count'
+ * @param {number} [config.ppmCountLimit=0] - Halve a context's counts past this (0 = unlimited)
+ * @param {number} [config.ppmDecayInterval=0] - Rescale all counts every N updates (0 = never)
+ * @param {number} [config.ppmDecayFactor=0.5] - Factor applied by the periodic decay
+ * @param {boolean} [config.ppmDynamicParameters=false] - Learn alpha/beta per depth online
+ * @param {number} [config.ppmLearningRate=0.003] - Step size for dynamic parameters
+ * @param {boolean} [config.ppmUnbounded=false] - PPM* mode with unbounded context length
+ * @param {number} [config.ppmMaxContextLength=0] - Longest PPM* context (0 = unlimited)
  * @return {Predictor} Predictor instance
  *
  * @example
@@ -171,6 +185,15 @@ export {
   PPMLanguageModel,
   Vocabulary,
 
+  // Compression
+  compress,
+  decompress,
+
+  // Model inspection
+  toNgramTSV,
+  toNgramJSON,
+  summarizeNgrams,
+
   // Utilities
   levenshteinDistance,
   similarityScore,
@@ -0,0 +1,160 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview N-gram tables and summaries of trained PPM models.
+ *
+ * Every node of the PPM trie is an n-gram: the path from the root to its
+ * parent is the context and the node holds a symbol seen in that context
+ * with its count (see PPMLanguageModel.ngrams()). The tables list them with
+ * the symbols spelled out, so what a corpus taught the model can be inspected
+ * in a spreadsheet or compared with another corpus.
+ */
+
+/**
+ * Lists the n-grams of a model with their symbols spelled out, sorted by
+ * order, then by decreasing count.
+ * @param {!PPMLanguageModel} model Model to list.
+ * @param {Object=} options Options passed to PPMLanguageModel.ngrams().
+ * @return {!Array<!Object>} `{order, context, symbol, count}` rows with the
+ *     context and symbol as strings.
+ */
+function ngramRows(model, options = {}) {
+  const names = model.vocab_.symbols_;
+  const rows = [];
+  for (const { context, symbol, count, order } of model.ngrams(options)) {
+    rows.push({
+      order,
+      context: context.map(id => names[id]).join(''),
+      symbol: names[symbol],
+      count
+    });
+  }
+  rows.sort((a, b) => a.order - b.order || b.count - a.count ||
+    (a.context + a.symbol < b.context + b.symbol ? -1 : 1));
+  return rows;
+}
+
+/**
+ * Escapes the characters that would break a TSV cell.
+ * @param {string} text Cell text.
+ * @return {string} Escaped text.
+ */
+function escapeCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+/**
+ * Writes the n-grams of a model as tab-separated values with an
+ * `order`, `context`, `symbol`, `count` header. Backslashes, tabs and line
+ * breaks in the text are written as `\\`, `\t`, `\n` and `\r`.
+ *
+ * @param {!PPMLanguageModel} model Model to export.
+ * @param {Object=} options Options.
+ * @param {number=} options.maxOrder Skip contexts longer than this.
+ * @param {number=} options.minCount Skip n-grams with a lower count.
+ * @return {string} TSV table, one n-gram per line.
+ *
+ * @example
+ * fs.writeFileSync('ngrams.tsv', toNgramTSV(model, { maxOrder: 2 }));
+ */
+function toNgramTSV(model, options = {}) {
+  const lines = ['order\tcontext\tsymbol\tcount'];
+  for (const row of ngramRows(model, options)) {
+    lines.push(`${row.order}\t${escapeCell(row.context)}\t${escapeCell(row.symbol)}\t${row.count}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes the n-grams of a model as JSON.
+ *
+ * @param {!PPMLanguageModel} model Model to export.
+ * @param {Object=} options Options.
+ * @param {number=} options.maxOrder Skip contexts longer than this.
+ * @param {number=} options.minCount Skip n-grams with a lower count.
+ * @return {string} JSON object with the model's `maxOrder` and the
+ *     `ngrams` rows (`order`, `context`, `symbol`, `count`).
+ */
+function toNgramJSON(model, options = {}) {
+  return JSON.stringify({
+    maxOrder: model.maxOrder_,
+    ngrams: ngramRows(model, options)
+  });
+}
+
+/**
+ * Summarizes a model: for every context length, the number of contexts and
+ * n-grams, their total count and the branching factor (the average number of
+ * distinct symbols seen in a context), plus the most frequent contexts.
+ *
+ * @param {!PPMLanguageModel} model Model to summarize.
+ * @param {Object=} options Options.
+ * @param {number=} options.maxOrder Skip contexts longer than this.
+ * @param {number=} options.topContexts Number of most frequent non-empty
+ *     contexts to list (default: 10).
+ * @return {!Object} `{numNgrams, orders, topContexts}`, where `orders` has
+ *     `{order, numContexts, numNgrams, totalCount, branchingFactor}` for
+ *     every context length and `topContexts` has `{context, order, count,
+ *     numSymbols, topSymbol}` entries, most frequent first.
+ */
+function summarizeNgrams(model, options = {}) {
+  const names = model.vocab_.symbols_;
+  const numTopContexts = options.topContexts !== undefined ? options.topContexts : 10;
+  const orders = [];
+  // Non-empty contexts by path, with their total count and best symbol.
+  const contexts = new Map();
+  let numNgrams = 0;
+  for (const { context, symbol, count, order } of model.ngrams({ maxOrder: options.maxOrder })) {
+    numNgrams++;
+    while (orders.length <= order) {
+      orders.push({ order: orders.length, numContexts: 0, numNgrams: 0, totalCount: 0, branchingFactor: 0 });
+    }
+    orders[order].numNgrams++;
+    orders[order].totalCount += count;
+
+    const key = context.join(',');
+    let entry = contexts.get(key);
+    if (!entry) {
+      orders[order].numContexts++;
+      entry = { context, order, count: 0, numSymbols: 0, topSymbol: symbol, topCount: 0 };
+      contexts.set(key, entry);
+    }
+    entry.count += count;
+    entry.numSymbols++;
+    if (count > entry.topCount) {
+      entry.topSymbol = symbol;
+      entry.topCount = count;
+    }
+  }
+  for (const stats of orders) {
+    stats.branchingFactor = stats.numContexts > 0 ? stats.numNgrams / stats.numContexts : 0;
+  }
+
+  const topContexts = [...contexts.values()]
+    .filter(entry => entry.order > 0)
+    .sort((a, b) => b.count - a.count || a.order - b.order)
+    .slice(0, numTopContexts)
+    .map(entry => ({
+      context: entry.context.map(id => names[id]).join(''),
+      order: entry.order,
+      count: entry.count,
+      numSymbols: entry.numSymbols,
+      topSymbol: names[entry.topSymbol]
+    }));
+  return { numNgrams, orders, topContexts };
+}
+
+export { toNgramTSV, toNgramJSON, summarizeNgrams };
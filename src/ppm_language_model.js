@@ -48,6 +48,7 @@
 import assert from 'assert';
 
 import * as vocab from './vocabulary.js';
+import { ByteReader, ByteWriter } from './utils/binary-io.js';
 
 /**
  * Kneser-Ney "-like" smoothing parameters.
@@ -58,12 +59,89 @@ import * as vocab from './vocabulary.js';
 const defaultKnAlpha = 0.49;
 const defaultKnBeta = 0.77;
 
+/**
+ * Dynamic parameter updates (see PPMLanguageModel.updateParameters_()). The
+ * learned parameters are kept within these bounds so that the escape
+ * probabilities stay positive.
+ */
+const defaultLearningRate = 0.003;
+const minDynamicAlpha = 0.01;
+const maxDynamicAlpha = 100;
+const maxDynamicBeta = 0.99;
+
+/**
+ * Probability estimators ("escape methods"). 'kn' is the Dasher-style
+ * Kneser-Ney-like blending controlled by alpha and beta. The others are the
+ * classic PPM escape methods, see e.g.
+ *   Moffat, Alistair (1990): "Implementing the PPM data compression scheme",
+ *   IEEE Transactions on Communications, vol. 38, no. 11, pp. 1917--1921;
+ *   Witten, Ian H. and Bell, Timothy C. (1991): "The zero-frequency problem:
+ *   Estimating the probabilities of novel events in adaptive text
+ *   compression", IEEE Transactions on Information Theory, vol. 37, no. 4,
+ *   pp. 1085--1094.
+ */
+const escapeMethods = ['kn', 'a', 'b', 'c', 'd', 'x'];
+
 /* Epsilon for sanity checks. */
 const epsilon = 1E-10;
 
 /**
- * Node in a search tree, which is implemented as a suffix trie that represents
- * every suffix of a sequence used during its construction. Please see
+ * Scales a count for count aging, rounding to the nearest integer and keeping
+ * it at least one so that the node is not lost.
+ * @param {number} count Count to scale.
+ * @param {number} factor Scaling factor.
+ * @return {number} Scaled count.
+ */
+function scaleCount(count, factor) {
+  return Math.max(1, Math.round(count * factor));
+}
+
+/**
+ * Binary serialization format. The buffer starts with the magic bytes
+ * followed by the format version and a flags byte.
+ */
+const serializationMagic = [0x50, 0x50, 0x4d, 0x54]; // "PPMT"
+const serializationVersion = 1;
+// Flag set when the vocabulary symbols are stored in the buffer.
+const serializationFlagVocabulary = 0x01;
+
+/**
+ * Index denoting "no node" in the node storage, and the index of the root.
+ */
+const nilNode = -1;
+const rootNode = 0;
+
+/**
+ * Node storage. Number of node slots allocated up front; the storage doubles
+ * whenever it runs out of slots.
+ */
+const initialNodeCapacity = 1024;
+// Bytes per node: symbol, count, child, next and backoff, 4 bytes each.
+const bytesPerNode = 20;
+// Bytes per node of the last-use stamps kept when eviction is enabled.
+const bytesPerStamp = 4;
+
+/**
+ * Node eviction policies (see evictNodes_()): 'none' stops the trie from
+ * growing at the node budget, 'lru' evicts the least recently updated leaves
+ * and 'lowest-count' the leaves with the lowest counts.
+ */
+const evictionPolicies = ['none', 'lru', 'lowest-count'];
+// Fraction of the node budget freed at once, so that the trie is not
+// scanned for every new node.
+const evictionBatchFraction = 1 / 32;
+
+/**
+ * Number of times the single symbol of a deterministic context must have been
+ * seen before an unbounded (PPM*) model starts its estimate from that context.
+ * Deterministic contexts seen only once or twice are too often wrong.
+ */
+const minDeterministicCount = 4;
+
+/**
+ * Nodes of a search tree, which is implemented as a suffix trie that
+ * represents every suffix of a sequence used during its construction. Please
+ * see
  *   [1] Moffat, Alistair (1990): "Implementing the PPM data compression
  *       scheme", IEEE Transactions on Communications, vol. 38, no. 11, pp.
  *       1917--1921.
@@ -73,14 +151,33 @@ const epsilon = 1E-10;
  *       Implementation Technique for Varied-Length N-gram Language Models",
  *       MSc. Thesis, Saarland University.
  *
+ * Rather than as individual objects, the nodes are kept in flat typed arrays
+ * ("structure of arrays") and referred to by their integer index. This takes
+ * a fraction of the memory of a JavaScript object per node, puts no pressure
+ * on the garbage collector and keeps the nodes close together in memory.
+ * Slots of removed nodes are chained into a free list and reused.
+ *
  * @final
  */
-class Node {
-  constructor() {
-    // Leftmost child node for the current node.
-    this.child_ = null;
-    // Next node.
-    this.next_ = null;
+class NodeStore {
+  /**
+   * @param {number=} capacity Initial number of node slots.
+   */
+  constructor(capacity = initialNodeCapacity) {
+    this.capacity_ = 0;
+    // Number of slots ever handed out; slots above are unused.
+    this.size_ = 0;
+    // Head of the list of released slots, chained through next_.
+    this.freeList_ = nilNode;
+    // Symbol that the node stores.
+    this.symbol_ = new Uint32Array(0);
+    // Frequency count for the node. Number of times the suffix symbol stored
+    // in the node was observed.
+    this.count_ = new Uint32Array(0);
+    // Leftmost child of the node.
+    this.child_ = new Int32Array(0);
+    // Next sibling of the node.
+    this.next_ = new Int32Array(0);
     // Node in the backoff structure, also known as "vine" structure (see [1]
     // above) and "suffix link" (see [2] above). The backoff for the given node
     // points at the node representing the shorter context. For example, if the
@@ -91,33 +188,120 @@ class Node {
     // need to be. For example, for the node "B" in the trie path for the string
     // "AB" ("[R] -> [A] -> [*B*]") the backoff points at the child node of a
     // different path "[R] -> [*B*]".
-    this.backoff_ = null;
-    // Frequency count for this node. Number of times the suffix symbol stored
-    // in this node was observed.
-    this.count_ = 1;
-    // Symbol that this node stores.
-    this.symbol_ = vocab.rootSymbol;
+    this.backoff_ = new Int32Array(0);
+    // Value of the update clock when the node was last counted, or null when
+    // recency is not tracked (see trackRecency()).
+    this.stamp_ = null;
+    this.clock_ = 0;
+    this.reserve(capacity);
+  }
+
+  /**
+   * Makes sure the storage has at least the given number of slots.
+   * @param {number} capacity Required number of slots.
+   * @final
+   */
+  reserve(capacity) {
+    if (capacity <= this.capacity_) {
+      return;
+    }
+    const grow = (array) => {
+      const grown = new array.constructor(capacity);
+      grown.set(array.subarray(0, this.size_));
+      return grown;
+    };
+    this.symbol_ = grow(this.symbol_);
+    this.count_ = grow(this.count_);
+    this.child_ = grow(this.child_);
+    this.next_ = grow(this.next_);
+    this.backoff_ = grow(this.backoff_);
+    if (this.stamp_ != null) {
+      this.stamp_ = grow(this.stamp_);
+    }
+    this.capacity_ = capacity;
+  }
+
+  /**
+   * Starts or stops recording when every node was last counted. Nodes that
+   * exist when tracking starts count as used at the current clock.
+   * @param {boolean} enabled Whether to track recency.
+   * @final
+   */
+  trackRecency(enabled) {
+    if (!enabled) {
+      this.stamp_ = null;
+    } else if (this.stamp_ == null) {
+      this.stamp_ = new Uint32Array(this.capacity_).fill(this.clock_);
+    }
+  }
+
+  /**
+   * Records that a node has just been counted.
+   * @param {number} node Index of the node.
+   * @final
+   */
+  touch(node) {
+    if (this.stamp_ != null) {
+      this.stamp_[node] = this.clock_;
+    }
+  }
+
+  /**
+   * Allocates a new unlinked node with a count of one.
+   * @param {number} symbol Symbol that the node stores.
+   * @return {number} Index of the new node.
+   * @final
+   */
+  allocate(symbol) {
+    let node = this.freeList_;
+    if (node != nilNode) {
+      this.freeList_ = this.next_[node];
+    } else {
+      if (this.size_ == this.capacity_) {
+        this.reserve(Math.max(initialNodeCapacity, this.capacity_ * 2));
+      }
+      node = this.size_++;
+    }
+    this.symbol_[node] = symbol;
+    this.count_[node] = 1;
+    this.child_[node] = nilNode;
+    this.next_[node] = nilNode;
+    this.backoff_[node] = nilNode;
+    this.touch(node);
+    return node;
+  }
+
+  /**
+   * Returns the slot of a node that is no longer linked into the trie to the
+   * free list.
+   * @param {number} node Index of the node.
+   * @final
+   */
+  release(node) {
+    this.next_[node] = this.freeList_;
+    this.freeList_ = node;
   }
 
   /**
-   * Finds child of the current node with a specified symbol.
+   * Finds child of the given node with a specified symbol.
+   * @param {number} node Index of the parent node.
    * @param {number} symbol Integer symbol.
-   * @return {?Node} Node with the symbol.
+   * @return {number} Index of the node with the symbol, or nilNode.
    * @final
    */
-  findChildWithSymbol(symbol) {
-    let current = this.child_;
-    while (current != null) {
-      if (current.symbol_ == symbol) {
+  findChildWithSymbol(node, symbol) {
+    let current = this.child_[node];
+    while (current != nilNode) {
+      if (this.symbol_[current] == symbol) {
         return current;
       }
-      current = current.next_;
+      current = this.next_[current];
     }
     return current;
   }
 
   /**
-   * Total number of observations for all the children of this node. This
+   * Total number of observations for all the children of the given node. This
    * counts all the events observed in this context.
    *
    * Note: This API is used at inference time. A possible alternative that will
@@ -128,22 +312,32 @@ class Node {
    * This however will increase the memory use of the algorithm which is already
    * quite substantial.
    *
+   * @param {number} node Index of the node.
    * @param {!array} exclusionMask Boolean exclusion mask for all the symbols.
    *                 Can be 'null', in which case no exclusion happens.
    * @return {number} Total number of observations under this node.
    * @final
    */
-  totalChildrenCounts(exclusionMask) {
-    let childNode = this.child_;
+  totalChildrenCounts(node, exclusionMask) {
+    let childNode = this.child_[node];
     let count = 0;
-    while (childNode != null) {
-      if (!exclusionMask || !exclusionMask[childNode.symbol_]) {
-        count += childNode.count_;
+    while (childNode != nilNode) {
+      if (!exclusionMask || !exclusionMask[this.symbol_[childNode]]) {
+        count += this.count_[childNode];
       }
-      childNode = childNode.next_;
+      childNode = this.next_[childNode];
     }
     return count;
   }
+
+  /**
+   * Returns the number of bytes taken by the node arrays.
+   * @return {number} Bytes allocated for all the slots.
+   * @final
+   */
+  byteLength() {
+    return this.capacity_ * (bytesPerNode + (this.stamp_ != null ? bytesPerStamp : 0));
+  }
 }
 
 /**
@@ -153,7 +347,7 @@ class Node {
 class Context {
   /**
    * Constructor.
-   * @param {?Node} head Head node of the context.
+   * @param {number} head Index of the head node of the context.
    * @param {number} order Length of the context.
    */
   constructor(head, order) {
@@ -178,6 +372,32 @@ class PPMLanguageModel {
    * @param {boolean=} options.useExclusion Enable exclusion at inference time.
    * @param {boolean=} options.updateExclusion Enable "single counting" updates.
    * @param {number=} options.maxNodes Maximum number of trie nodes (0 = unlimited).
+   * @param {string=} options.evictionPolicy What happens at the node budget:
+   *     'none' (default) stops adding nodes, 'lru' and 'lowest-count' evict
+   *     the least recently updated or least frequent leaves to make room.
+   * @param {number=} options.countLimit Halve all the counts in a context when
+   *     one of them exceeds this value (0 = unlimited).
+   * @param {number=} options.decayInterval Rescale all the counts in the trie
+   *     after this many updates (0 = never).
+   * @param {number=} options.decayFactor Factor applied to the counts every
+   *     decayInterval updates (default: 0.5).
+   * @param {boolean=} options.dynamicParameters Keep alpha and beta per
+   *     context depth and learn them online (default: false). Only used by
+   *     the 'kn' method.
+   * @param {number=} options.learningRate Gradient step size for the dynamic
+   *     parameters (default: 0.003).
+   * @param {!Array<number>=} options.alphas Per-depth alphas to restore
+   *     (requires dynamicParameters).
+   * @param {!Array<number>=} options.betas Per-depth betas to restore
+   *     (requires dynamicParameters).
+   * @param {string=} options.method Probability estimator: 'kn' (default,
+   *     uses alpha and beta) or one of the classic escape methods 'a', 'b',
+   *     'c', 'd' and 'x'.
+   * @param {boolean=} options.unbounded PPM* mode: contexts longer than
+   *     maxOrder are kept for repeated text and prediction starts from the
+   *     shortest deterministic context (default: false).
+   * @param {number=} options.maxContextLength Memory guard for unbounded
+   *     mode: contexts never grow longer than this (0 = no limit).
    */
   constructor(vocab, maxOrder, options = {}) {
     this.vocab_ = vocab;
@@ -185,14 +405,22 @@ class PPMLanguageModel {
       'Expecting at least two symbols in the vocabulary');
 
     this.maxOrder_ = maxOrder;
-    this.root_ = new Node();
-    this.rootContext_ = new Context();
-    this.rootContext_.head_ = this.root_;
-    this.rootContext_.order_ = 0;
+    this.nodes_ = new NodeStore();
+    this.root_ = this.nodes_.allocate(vocab.rootSymbol);
+    assert(this.root_ == rootNode, 'Expected the root to be the first node');
+    this.rootContext_ = new Context(this.root_, 0);
     this.numNodes_ = 1;
 
     this.alpha_ = defaultKnAlpha;
     this.beta_ = defaultKnBeta;
+    // Dynamic parameters: when enabled, alpha and beta are kept for every
+    // context depth (0 to maxOrder) and tuned online. The global alpha and
+    // beta then only provide their initial values. null when disabled.
+    this.alphas_ = null;
+    this.betas_ = null;
+    this.learningRate_ = defaultLearningRate;
+    // Probability estimator, see escapeMethods.
+    this.method_ = 'kn';
     // Exclusion mechanism: On by default.
     // Mirrors the newer Dasher rewrite behavior.
     // Can be disabled if needed for backwards compatibility.
@@ -203,12 +431,34 @@ class PPMLanguageModel {
     this.maxNodes_ = 0;
     // Track the number of symbols skipped due to the node cap.
     this.skippedNodeAdds_ = 0;
+    // Node eviction at the node budget, see evictNodes_().
+    this.evictionPolicy_ = 'none';
+    this.evictedNodes_ = 0;
+    // Count aging. Classic PPM implementations halve the counts of a context
+    // once one of them passes a limit, so that recent observations outweigh
+    // old ones and counts stay bounded. 0 disables halving.
+    this.countLimit_ = 0;
+    // Alternatively (or additionally) all the counts in the trie are
+    // periodically decayed. 0 disables decay.
+    this.decayInterval_ = 0;
+    this.decayFactor_ = 0.5;
+    // Number of updates since the counts were last decayed.
+    this.updatesSinceDecay_ = 0;
+    // Unbounded-order PPM* (see contextLimit_() and predictionContext_()).
+    // maxOrder then only bounds the contexts kept for text seen once.
+    this.unbounded_ = false;
+    this.maxContextLength_ = 0;
+    // Scratch arrays reused by the sparse queries (see getSparseProbs_()).
+    this.scratchProbs_ = null;
+    this.scratchMask_ = null;
 
     this.setParameters(options);
   }
 
   /**
    * Returns runtime statistics useful for monitoring memory pressure.
+   * `bytes` is the memory allocated for the trie nodes, including the slots
+   * reserved for growth (`nodeCapacity`).
    * @return {Object} Stats object.
    * @final
    */
@@ -216,7 +466,10 @@ class PPMLanguageModel {
     return {
       numNodes: this.numNodes_,
       maxNodes: this.maxNodes_,
-      skippedNodeAdds: this.skippedNodeAdds_
+      skippedNodeAdds: this.skippedNodeAdds_,
+      evictedNodes: this.evictedNodes_,
+      nodeCapacity: this.nodes_.capacity_,
+      bytes: this.nodes_.byteLength()
     };
   }
 
@@ -229,26 +482,92 @@ class PPMLanguageModel {
     return this.maxNodes_ <= 0 || this.numNodes_ < this.maxNodes_;
   }
 
+  /**
+   * Updates the counts for an observation of the given node.
+   * @param {number} parent Context node the symbol was observed in.
+   * @param {number} node Node for the observed symbol.
+   * @final @private
+   */
+  updateCounts_(parent, node) {
+    // Only updates the counts for the highest order already existing node for
+    // the symbol ('single counting' or 'update exclusion').
+    this.incrementCount_(parent, node);
+    if (!this.updateExclusion_) {
+      // Dasher optional mode: propagate updates up shorter contexts. The
+      // context of the backoff node is the backoff of the current context.
+      const backoffs = this.nodes_.backoff_;
+      let vine = backoffs[node];
+      let vineParent = parent != nilNode ? backoffs[parent] : nilNode;
+      while (vine != nilNode) {
+        this.incrementCount_(vineParent, vine);
+        vine = backoffs[vine];
+        vineParent = vineParent != nilNode ? backoffs[vineParent] : nilNode;
+      }
+    }
+  }
+
+  /**
+   * Increments the count of a node, halving the counts of its context when
+   * the count limit is exceeded.
+   * @param {number} parent Context node of the node, or nilNode if unknown.
+   * @param {number} node Node to update.
+   * @final @private
+   */
+  incrementCount_(parent, node) {
+    const nodes = this.nodes_;
+    const counts = nodes.count_;
+    counts[node]++;
+    nodes.touch(node);
+    if (this.countLimit_ <= 0 || counts[node] <= this.countLimit_) {
+      return;
+    }
+    if (parent != nilNode && nodes.findChildWithSymbol(parent, nodes.symbol_[node]) == node) {
+      for (let child = nodes.child_[parent]; child != nilNode; child = nodes.next_[child]) {
+        counts[child] = scaleCount(counts[child], 0.5);
+      }
+    } else {
+      // The context is unknown (e.g. for the root node), so only this count
+      // can be halved.
+      counts[node] = scaleCount(counts[node], 0.5);
+    }
+  }
+
+  /**
+   * Rescales all the counts in the trie by the given factor, giving more
+   * weight to future observations. Counts are rounded and never drop below
+   * one, so no nodes are removed.
+   * @param {number=} factor Scaling factor in (0, 1] (default: 0.5).
+   * @final
+   */
+  rescaleCounts(factor = 0.5) {
+    assert(typeof factor === 'number' && factor > 0 && factor <= 1,
+      'factor must be a number in (0, 1]');
+    // Every node apart from the root is a child of exactly one node, so all
+    // the live nodes are reached from the root.
+    const nodes = this.nodes_;
+    const stack = [this.root_];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        nodes.count_[child] = scaleCount(nodes.count_[child], factor);
+        stack.push(child);
+      }
+    }
+  }
+
   /**
    * Adds symbol to an existing shorter context when node budget is reached.
-   * @param {?Node} node Current node.
+   * @param {number} node Current node.
    * @param {number} symbol Symbol to add.
-   * @return {?Node} Added/found node in shorter context.
+   * @return {number} Added/found node in shorter context, or nilNode.
    * @final @private
    */
   addSymbolWithBudgetFallback_(node, symbol) {
-    let backoff = node.backoff_;
-    while (backoff != null) {
-      const existing = backoff.findChildWithSymbol(symbol);
-      if (existing != null) {
-        existing.count_++;
-        if (!this.updateExclusion_) {
-          let vine = existing.backoff_;
-          while (vine != null) {
-            vine.count_++;
-            vine = vine.backoff_;
-          }
-        }
+    let backoff = this.nodes_.backoff_[node];
+    while (backoff != nilNode) {
+      const existing = this.nodes_.findChildWithSymbol(backoff, symbol);
+      if (existing != nilNode) {
+        this.updateCounts_(backoff, existing);
         this.skippedNodeAdds_++;
         return existing;
       }
@@ -256,10 +575,562 @@ class PPMLanguageModel {
         this.skippedNodeAdds_++;
         return this.addSymbolToNode_(backoff, symbol);
       }
-      backoff = backoff.backoff_;
+      backoff = this.nodes_.backoff_[backoff];
     }
     this.skippedNodeAdds_++;
-    return null;
+    return nilNode;
+  }
+
+  /**
+   * Makes room for new nodes at the node budget by evicting leaves, so that
+   * a model adapting to new text keeps learning once the budget is reached.
+   *
+   * Only leaves that no other node backs off to can be evicted, which keeps
+   * the backoff (vine) pointers valid; removing a leaf may turn its parent
+   * into a leaf evictable later. Symbols predicted from the empty context are
+   * never evicted. The 'lru' policy evicts the leaves counted least recently,
+   * 'lowest-count' the leaves with the lowest counts (the least recently
+   * counted first among equal counts). As in prune(), with update exclusion
+   * the count of an evicted node is folded into its backoff node.
+   *
+   * A batch of nodes is evicted at once to amortize the scan of the trie.
+   * The context being extended is never evicted, but other contexts may refer
+   * to evicted nodes and should be recreated.
+   *
+   * @param {number} head Node being extended. It and its backoff chain are
+   *     kept.
+   * @param {!Array<number>} pending New nodes not linked into the backoff
+   *     structure yet, which are kept as well.
+   * @return {number} Number of evicted nodes.
+   * @final @private
+   */
+  evictNodes_(head, pending) {
+    // Visit the nodes breadth first, recording their parents and depths and
+    // how many nodes back off to each of them.
+    const nodes = this.nodes_;
+    const order = [this.root_];
+    const parents = [nilNode];
+    const depths = [0];
+    const numReferrers = new Int32Array(nodes.size_);
+    for (let i = 0; i < order.length; ++i) {
+      const node = order[i];
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        order.push(child);
+        parents.push(node);
+        depths.push(depths[i] + 1);
+        if (nodes.backoff_[child] != nilNode) {
+          numReferrers[nodes.backoff_[child]]++;
+        }
+      }
+    }
+    const kept = new Uint8Array(nodes.size_);
+    for (let node = head; node != nilNode; node = nodes.backoff_[node]) {
+      kept[node] = 1;
+    }
+    for (const node of pending) {
+      kept[node] = 1;
+    }
+
+    const candidates = [];
+    for (let i = 1; i < order.length; ++i) {
+      const node = order[i];
+      if (depths[i] > 1 && nodes.child_[node] == nilNode &&
+        numReferrers[node] == 0 && !kept[node]) {
+        candidates.push(i);
+      }
+    }
+    const counts = nodes.count_;
+    const stamps = nodes.stamp_;
+    const byCount = (a, b) => counts[order[a]] - counts[order[b]];
+    const byAge = (a, b) => stamps[order[a]] - stamps[order[b]];
+    candidates.sort(this.evictionPolicy_ == 'lru' ?
+      (a, b) => byAge(a, b) || byCount(a, b) : (a, b) => byCount(a, b) || byAge(a, b));
+
+    const batchSize = Math.max(1, Math.floor(this.maxNodes_ * evictionBatchFraction));
+    const evicted = candidates.slice(0, batchSize);
+    for (const i of evicted) {
+      const node = order[i];
+      const parent = parents[i];
+      if (nodes.child_[parent] == node) {
+        nodes.child_[parent] = nodes.next_[node];
+      } else {
+        let previous = nodes.child_[parent];
+        while (nodes.next_[previous] != node) {
+          previous = nodes.next_[previous];
+        }
+        nodes.next_[previous] = nodes.next_[node];
+      }
+      // The node's creation already incremented its backoff once. Contexts
+      // longer than maxOrder are counted at every length, so their counts
+      // are in the backoff already.
+      const backoff = nodes.backoff_[node];
+      if (this.updateExclusion_ && backoff != nilNode && backoff != this.root_ &&
+        depths[i] - 1 <= this.maxOrder_) {
+        counts[backoff] += counts[node] - 1;
+      }
+      nodes.release(node);
+    }
+    this.numNodes_ -= evicted.length;
+    this.evictedNodes_ += evicted.length;
+    return evicted.length;
+  }
+
+  /**
+   * Prunes the trie, permanently removing low-count and high-order nodes.
+   *
+   * Unlike the node budget, which only stops the trie from growing, this
+   * removes nodes that are already in the trie. Pruning works on whole
+   * contexts: all the symbols predicted from a context are removed when the
+   * context is longer than the kept order, or when their counts sum to less
+   * than the count threshold. A context is never pruned while a longer
+   * context backing off to it survives, so backoff (vine) pointers stay
+   * valid. Symbols predicted from the empty context are never removed.
+   *
+   * With update exclusion ("single counting") the counts of a removed node
+   * would have gone to its backoff node had the node never existed, so they
+   * are folded into the backoff node.
+   *
+   * Contexts created before pruning may refer to removed nodes and should be
+   * recreated.
+   *
+   * @param {Object=} options Pruning options.
+   * @param {number=} options.minCount Prune contexts whose symbol counts sum
+   *     to less than this value (default: 0, i.e. no count pruning).
+   * @param {number=} options.maxOrderToKeep Remove nodes predicting from
+   *     contexts longer than this order (default: keep all orders).
+   * @param {number=} options.targetNodes If positive, raise the count
+   *     threshold as far as needed to bring the trie down to at most this many
+   *     nodes. The target may be unreachable if first-order nodes alone exceed
+   *     it.
+   * @return {!Object} Statistics about the removed nodes.
+   * @final
+   */
+  prune(options = {}) {
+    const minCount = options.minCount !== undefined ? options.minCount : 0;
+    const maxOrderToKeep = options.maxOrderToKeep !== undefined ?
+      options.maxOrderToKeep : Infinity;
+    const targetNodes = options.targetNodes !== undefined ? options.targetNodes : 0;
+    assert(typeof minCount === 'number' && minCount >= 0,
+      'minCount must be a non-negative number');
+    assert(maxOrderToKeep === Infinity ||
+      (Number.isInteger(maxOrderToKeep) && maxOrderToKeep >= 0),
+    'maxOrderToKeep must be a non-negative integer');
+    assert(Number.isInteger(targetNodes) && targetNodes >= 0,
+      'targetNodes must be a non-negative integer');
+
+    // Collect the nodes in pre-order together with their parents, backoffs
+    // and depths. A node at depth d predicts its symbol from a context of
+    // order d - 1.
+    const store = this.nodes_;
+    const nodes = [];
+    const parents = [];
+    const depths = [];
+    const stack = [[this.root_, -1, 0]];
+    while (stack.length > 0) {
+      const [node, parent, depth] = stack.pop();
+      const index = nodes.length;
+      nodes.push(node);
+      parents.push(parent);
+      depths.push(depth);
+      for (let child = store.child_[node]; child != nilNode; child = store.next_[child]) {
+        stack.push([child, index, depth + 1]);
+      }
+    }
+    const indices = new Int32Array(store.size_);
+    nodes.forEach((node, i) => { indices[node] = i; });
+    const backoffs = nodes.map(node =>
+      store.backoff_[node] == nilNode ? -1 : indices[store.backoff_[node]]);
+
+    const children = nodes.map(() => []);
+    for (let i = 1; i < nodes.length; ++i) {
+      children[parents[i]].push(i);
+    }
+
+    // Contexts are visited deepest first, so that the longer contexts (and
+    // their counts folded into shorter ones) are decided before them. The
+    // children of the root are never removed.
+    const byDepth = nodes.map((node, i) => i).slice(1);
+    byDepth.sort((a, b) => depths[b] - depths[a]);
+
+    // Decides which nodes are removed under the given count threshold and
+    // computes the resulting counts. Removing only some of the children of a
+    // context would shrink its escape estimate and make it overconfident, so
+    // the children are removed together. A context is kept when one of its
+    // children is a context with surviving children, or is the backoff of a
+    // surviving node.
+    const plan = (threshold) => {
+      const removed = new Uint8Array(nodes.length);
+      const keepsChildren = new Uint8Array(nodes.length);
+      const required = new Uint8Array(nodes.length);
+      const counts = nodes.map(node => store.count_[node]);
+      let survivors = nodes.length;
+      const removeChildren = (context) => {
+        for (const i of children[context]) {
+          removed[i] = 1;
+          survivors--;
+          // The node's creation already incremented its backoff once.
+          if (this.updateExclusion_ && backoffs[i] > 0) {
+            counts[backoffs[i]] += counts[i] - 1;
+          }
+        }
+      };
+      for (const context of byDepth) {
+        if (children[context].length === 0) {
+          continue;
+        }
+        if (depths[context] > maxOrderToKeep) {
+          removeChildren(context);
+          continue;
+        }
+        let total = 0;
+        let mustKeep = false;
+        for (const i of children[context]) {
+          total += counts[i];
+          mustKeep = mustKeep || keepsChildren[i] === 1 || required[i] === 1;
+        }
+        if (!mustKeep && total < threshold) {
+          removeChildren(context);
+        } else {
+          keepsChildren[context] = 1;
+          for (const i of children[context]) {
+            required[backoffs[i]] = 1;
+          }
+        }
+      }
+      return { removed, counts, survivors };
+    };
+
+    // Pick the smallest count threshold that satisfies the node target by a
+    // binary search over the candidate thresholds.
+    let threshold = minCount;
+    let result = plan(threshold);
+    if (targetNodes > 0 && result.survivors > targetNodes) {
+      const candidates = new Set();
+      for (const context of byDepth) {
+        let total = 0;
+        for (const i of children[context]) {
+          total += store.count_[nodes[i]];
+        }
+        if (total >= minCount) {
+          candidates.add(total + 1);
+        }
+      }
+      const thresholds = Array.from(candidates).sort((a, b) => a - b);
+      let low = 0;
+      let high = thresholds.length - 1;
+      let best = -1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (plan(thresholds[mid]).survivors <= targetNodes) {
+          best = mid;
+          high = mid - 1;
+        } else {
+          low = mid + 1;
+        }
+      }
+      threshold = best >= 0 ? thresholds[best] : Infinity;
+      result = plan(threshold);
+    }
+
+    const { removed, counts } = result;
+    let removedByOrder = 0;
+    let removedByCount = 0;
+    for (let i = 1; i < nodes.length; ++i) {
+      if (!removed[i]) {
+        continue;
+      }
+      if (depths[i] - 1 > maxOrderToKeep) {
+        removedByOrder++;
+      } else {
+        removedByCount++;
+      }
+    }
+
+    for (let i = 0; i < nodes.length; ++i) {
+      if (removed[i]) {
+        continue;
+      }
+      const node = nodes[i];
+      store.count_[node] = counts[i];
+
+      assert(backoffs[i] < 0 || !removed[backoffs[i]],
+        'Expected the backoff of a surviving node to survive');
+
+      // Unlink removed children, preserving the order of the others.
+      let previous = nilNode;
+      for (let child = store.child_[node]; child != nilNode; child = store.next_[child]) {
+        if (removed[indices[child]]) {
+          if (previous == nilNode) {
+            store.child_[node] = store.next_[child];
+          } else {
+            store.next_[previous] = store.next_[child];
+          }
+        } else {
+          previous = child;
+        }
+      }
+    }
+    // The slots of the removed nodes are reused by the nodes added later.
+    for (let i = 1; i < nodes.length; ++i) {
+      if (removed[i]) {
+        store.release(nodes[i]);
+      }
+    }
+
+    const numNodesBefore = this.numNodes_;
+    this.numNodes_ -= removedByOrder + removedByCount;
+    return {
+      numNodesBefore,
+      numNodesAfter: this.numNodes_,
+      removedNodes: removedByOrder + removedByCount,
+      removedByCount,
+      removedByOrder,
+      countThreshold: threshold
+    };
+  }
+
+  /**
+   * Forgets a sequence of symbols previously learned with
+   * addSymbolAndUpdate(), reversing its count updates.
+   *
+   * The symbols are replayed in the contexts they were learned in and undone
+   * from the last to the first. For every symbol, the count of the node that
+   * addSymbolAndUpdate() incremented is decremented, together with its vine
+   * when update exclusion is off. Nodes that the symbol created, recognized by
+   * their count of one, are deleted and the update of the shorter context is
+   * undone in turn. A node is kept, with a count of one, while a longer
+   * context or a node backing off to it survives.
+   *
+   * The reversal is exact when the sequence is the last one learned. Count
+   * aging and dynamic parameter updates are not reversed. Contexts created
+   * before forgetting may refer to deleted nodes and should be recreated.
+   *
+   * @param {!Array<number>} symbols Sequence of integer symbols.
+   * @param {Object=} options Options.
+   * @param {?Context=} options.context Context the sequence was learned in
+   *     (default: the empty context). The supplied context is not modified.
+   * @return {!Object} Statistics with the number of nodes before and after
+   *     and the number of deleted nodes.
+   * @final
+   */
+  forget(symbols, options = {}) {
+    const nodes = this.nodes_;
+    const context = options.context ?
+      this.cloneContext(options.context) : this.createContext();
+    const heads = new Int32Array(symbols.length);
+    const orders = new Int32Array(symbols.length);
+    for (let i = 0; i < symbols.length; ++i) {
+      const symbol = symbols[i];
+      assert(symbol > vocab.rootSymbol && symbol < this.vocab_.size(),
+        'Invalid symbol: ' + symbol);
+      heads[i] = context.head_;
+      orders[i] = context.order_;
+      this.addSymbolToContext(context, symbol);
+      // Long contexts seen only once were not kept by addSymbolAndUpdate().
+      while (context.order_ > this.maxOrder_ && nodes.count_[context.head_] <= 1) {
+        context.head_ = nodes.backoff_[context.head_];
+        context.order_--;
+      }
+    }
+
+    let numEmptied = 0;
+    for (let i = symbols.length - 1; i >= 0; --i) {
+      const symbol = symbols[i];
+      let order = orders[i];
+      for (let node = heads[i]; node != nilNode; node = nodes.backoff_[node], order--) {
+        const symbolNode = nodes.findChildWithSymbol(node, symbol);
+        if (symbolNode == nilNode || nodes.count_[symbolNode] == 0) {
+          // Never learned (or already forgotten) in this context.
+          continue;
+        }
+        if (order > this.maxOrder_) {
+          // Contexts longer than maxOrder are counted at every length.
+          if (--nodes.count_[symbolNode] == 0) {
+            numEmptied++;
+          }
+          continue;
+        }
+        if (nodes.count_[symbolNode] == 1) {
+          // Created by this symbol, which also updated the shorter context.
+          nodes.count_[symbolNode] = 0;
+          numEmptied++;
+          continue;
+        }
+        nodes.count_[symbolNode]--;
+        if (!this.updateExclusion_) {
+          for (let vine = nodes.backoff_[symbolNode]; vine != nilNode;
+            vine = nodes.backoff_[vine]) {
+            nodes.count_[vine] = Math.max(1, nodes.count_[vine] - 1);
+          }
+        }
+        break;
+      }
+    }
+
+    const numNodesBefore = this.numNodes_;
+    if (numEmptied > 0) {
+      this.numNodes_ -= this.removeEmptyNodes_();
+    }
+    return {
+      numNodesBefore,
+      numNodesAfter: this.numNodes_,
+      removedNodes: numNodesBefore - this.numNodes_
+    };
+  }
+
+  /**
+   * Deletes the nodes whose count has dropped to zero. Nodes that still have
+   * children, or are the backoff of a surviving node, get a count of one.
+   * @return {number} Number of deleted nodes.
+   * @final @private
+   */
+  removeEmptyNodes_() {
+    // Visit the nodes breadth first, so that in reverse every node comes
+    // after its children and after the nodes backing off to it.
+    const nodes = this.nodes_;
+    const order = [this.root_];
+    const parents = [nilNode];
+    const numReferrers = new Int32Array(nodes.size_);
+    for (let i = 0; i < order.length; ++i) {
+      const node = order[i];
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        order.push(child);
+        parents.push(node);
+        numReferrers[nodes.backoff_[child]]++;
+      }
+    }
+
+    let numRemoved = 0;
+    for (let i = order.length - 1; i > 0; --i) {
+      const node = order[i];
+      if (nodes.count_[node] != 0) {
+        continue;
+      }
+      if (nodes.child_[node] != nilNode || numReferrers[node] > 0) {
+        nodes.count_[node] = 1;
+        continue;
+      }
+      const parent = parents[i];
+      if (nodes.child_[parent] == node) {
+        nodes.child_[parent] = nodes.next_[node];
+      } else {
+        let previous = nodes.child_[parent];
+        while (nodes.next_[previous] != node) {
+          previous = nodes.next_[previous];
+        }
+        nodes.next_[previous] = nodes.next_[node];
+      }
+      numReferrers[nodes.backoff_[node]]--;
+      nodes.release(node);
+      numRemoved++;
+    }
+    return numRemoved;
+  }
+
+  /**
+   * Merges the counts of another model into this one, as if this model had
+   * also been trained on the other model's data.
+   *
+   * The other trie is walked breadth first. Counts of nodes present in both
+   * tries are added, and missing nodes are created with the other node's
+   * count. A new node backs off to the node for the same symbol under the
+   * backoff of its parent, exactly as during training. Nodes longer than this
+   * model's maximum context length are ignored. When the node budget
+   * (maxNodes) is reached, the remaining new nodes, their subtrees and the
+   * nodes backing off to them are skipped and counted in skippedNodeAdds.
+   *
+   * Symbols are matched by name, so the other model may use a different
+   * vocabulary. Its symbols must all be in this model's vocabulary unless
+   * addSymbols is set, because the vocabulary may be shared with other models.
+   *
+   * @param {!PPMLanguageModel} other Model to merge into this one. It is not
+   *     modified.
+   * @param {Object=} options Options.
+   * @param {boolean=} options.addSymbols Add the other model's symbols missing
+   *     from this model's vocabulary to it (default: false, such symbols are
+   *     an error).
+   * @return {!Object} Statistics with the number of nodes before and after,
+   *     the number of added nodes and the number of skipped nodes.
+   * @final
+   */
+  merge(other, options = {}) {
+    assert(other instanceof PPMLanguageModel, 'Expected a PPMLanguageModel to merge');
+    assert(other !== this, 'Cannot merge a model into itself');
+    assert(other.vocab_ && typeof other.vocab_.size === 'function',
+      'The other model has no vocabulary');
+
+    // Map the other model's symbol IDs onto this vocabulary.
+    const symbolMap = new Int32Array(other.vocab_.size());
+    if (other.vocab_ !== this.vocab_) {
+      const missing = other.vocab_.symbols_.slice(1)
+        .filter(symbol => this.vocab_.getSymbol(symbol) < 0);
+      assert(missing.length === 0 || options.addSymbols === true,
+        `The other model has symbols missing from this vocabulary: ${missing.join(', ')}`);
+      for (let i = 1; i < other.vocab_.size(); ++i) {
+        symbolMap[i] = this.vocab_.addSymbol(other.vocab_.symbols_[i]);
+      }
+    } else {
+      symbolMap.forEach((symbol, i) => { symbolMap[i] = i; });
+    }
+
+    const numNodesBefore = this.numNodes_;
+    let numSkipped = 0;
+    const nodes = this.nodes_;
+    const otherNodes = other.nodes_;
+    const skip = (otherNode) => {
+      const stack = [otherNode];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        numSkipped++;
+        for (let child = otherNodes.child_[node]; child != nilNode; child = otherNodes.next_[child]) {
+          stack.push(child);
+        }
+      }
+    };
+    nodes.count_[this.root_] += otherNodes.count_[other.root_];
+
+    // Queue of [node in the other trie, matching node here, depth].
+    const queue = [[other.root_, this.root_, 0]];
+    for (let i = 0; i < queue.length; ++i) {
+      const [otherParent, parent, depth] = queue[i];
+      for (let otherNode = otherNodes.child_[otherParent]; otherNode != nilNode;
+        otherNode = otherNodes.next_[otherNode]) {
+        if (depth + 1 > this.contextLimit_() + 1) {
+          skip(otherNode);
+          continue;
+        }
+        const symbol = symbolMap[otherNodes.symbol_[otherNode]];
+        const count = otherNodes.count_[otherNode];
+        let node = nodes.findChildWithSymbol(parent, symbol);
+        if (node != nilNode) {
+          nodes.count_[node] += count;
+        } else {
+          // Shorter contexts are merged first, so the backoff exists unless
+          // it was skipped.
+          const backoff = parent == this.root_ ? this.root_ :
+            nodes.findChildWithSymbol(nodes.backoff_[parent], symbol);
+          if (backoff == nilNode || !this.canAddNode_()) {
+            skip(otherNode);
+            continue;
+          }
+          node = nodes.allocate(symbol);
+          nodes.count_[node] = count;
+          nodes.backoff_[node] = backoff;
+          nodes.next_[node] = nodes.child_[parent];
+          nodes.child_[parent] = node;
+          this.numNodes_++;
+        }
+        queue.push([otherNode, node, depth + 1]);
+      }
+    }
+    this.skippedNodeAdds_ += numSkipped;
+
+    return {
+      numNodesBefore,
+      numNodesAfter: this.numNodes_,
+      addedNodes: this.numNodes_ - numNodesBefore,
+      skippedNodes: numSkipped
+    };
   }
 
   /**
@@ -293,56 +1164,171 @@ class PPMLanguageModel {
         'maxNodes must be a non-negative integer');
       this.maxNodes_ = options.maxNodes;
     }
+    if (options.evictionPolicy !== undefined) {
+      assert(evictionPolicies.includes(options.evictionPolicy),
+        'evictionPolicy must be one of: ' + evictionPolicies.join(', '));
+      this.evictionPolicy_ = options.evictionPolicy;
+      this.nodes_.trackRecency(this.evictionPolicy_ != 'none');
+    }
+    if (options.dynamicParameters !== undefined) {
+      assert(typeof options.dynamicParameters === 'boolean',
+        'dynamicParameters must be boolean');
+      if (!options.dynamicParameters) {
+        this.alphas_ = null;
+        this.betas_ = null;
+      } else if (this.alphas_ == null) {
+        this.alphas_ = new Array(this.maxOrder_ + 1).fill(this.alpha_);
+        this.betas_ = new Array(this.maxOrder_ + 1).fill(this.beta_);
+      }
+    }
+    if (options.learningRate !== undefined) {
+      assert(typeof options.learningRate === 'number' && options.learningRate >= 0,
+        'learningRate must be a non-negative number');
+      this.learningRate_ = options.learningRate;
+    }
+    if (options.alphas !== undefined || options.betas !== undefined) {
+      assert(this.alphas_ != null,
+        'Per-depth parameters require dynamicParameters to be enabled');
+      for (const [values, target, max] of [
+        [options.alphas, this.alphas_, maxDynamicAlpha],
+        [options.betas, this.betas_, maxDynamicBeta]]) {
+        if (values === undefined) {
+          continue;
+        }
+        assert(Array.isArray(values) && values.length === this.maxOrder_ + 1,
+          'Expected one parameter per context depth (maxOrder + 1)');
+        values.forEach((value, depth) => {
+          assert(typeof value === 'number' && value >= 0 && value <= max,
+            'Invalid per-depth parameter: ' + value);
+          target[depth] = value;
+        });
+      }
+    }
+    if (options.method !== undefined) {
+      const method = typeof options.method === 'string' ?
+        options.method.toLowerCase() : options.method;
+      assert(escapeMethods.includes(method),
+        'method must be one of: ' + escapeMethods.join(', '));
+      this.method_ = method;
+    }
+    if (options.unbounded !== undefined) {
+      assert(typeof options.unbounded === 'boolean', 'unbounded must be boolean');
+      this.unbounded_ = options.unbounded;
+    }
+    if (options.maxContextLength !== undefined) {
+      assert(Number.isInteger(options.maxContextLength) && options.maxContextLength >= 0,
+        'maxContextLength must be a non-negative integer');
+      this.maxContextLength_ = options.maxContextLength;
+    }
+    if (options.countLimit !== undefined) {
+      assert(Number.isInteger(options.countLimit) && options.countLimit >= 0,
+        'countLimit must be a non-negative integer');
+      this.countLimit_ = options.countLimit;
+    }
+    if (options.decayInterval !== undefined) {
+      assert(Number.isInteger(options.decayInterval) && options.decayInterval >= 0,
+        'decayInterval must be a non-negative integer');
+      this.decayInterval_ = options.decayInterval;
+    }
+    if (options.decayFactor !== undefined) {
+      assert(typeof options.decayFactor === 'number' && options.decayFactor > 0 &&
+        options.decayFactor <= 1, 'decayFactor must be a number in (0, 1]');
+      this.decayFactor_ = options.decayFactor;
+    }
   }
 
   /**
-   * Adds symbol to the supplied node.
-   * @param {?Node} node Tree node which to grow.
-   * @param {number} symbol Symbol.
-   * @return {?Node} Node with the symbol.
+   * Returns the maximum length of a context. In unbounded mode this is only
+   * limited by the maxContextLength memory guard.
+   * @return {number} Maximum context length.
    * @final @private
    */
-  addSymbolToNode_(node, symbol) {
-    let symbolNode = node.findChildWithSymbol(symbol);
-    if (symbolNode != null) {
-      // Update the counts for the given node.  Only updates the counts for
-      // the highest order already existing node for the symbol ('single
-      // counting' or 'update exclusion').
-      symbolNode.count_++;
-      if (!this.updateExclusion_) {
-        // Dasher optional mode: propagate updates up shorter contexts.
-        let vine = symbolNode.backoff_;
-        while (vine != null) {
-          vine.count_++;
-          vine = vine.backoff_;
-        }
-      }
-    } else {
-      if (!this.canAddNode_()) {
-        return this.addSymbolWithBudgetFallback_(node, symbol);
-      }
-      // Symbol does not exist under the given node. Create a new child node
-      // and update the backoff structure for lower contexts.
-      symbolNode = new Node();
-      symbolNode.symbol_ = symbol;
-      symbolNode.next_ = node.child_;
-      node.child_ = symbolNode;
-      this.numNodes_++;
-      if (node == this.root_) {
-        // Shortest possible context.
-        symbolNode.backoff_ = this.root_;
-      } else {
-        assert(node.backoff_ != null, 'Expected valid backoff node');
-        symbolNode.backoff_ = this.addSymbolToNode_(node.backoff_, symbol);
-      }
+  contextLimit_() {
+    if (!this.unbounded_) {
+      return this.maxOrder_;
     }
-    return symbolNode;
+    return this.maxContextLength_ > 0 ?
+      Math.max(this.maxContextLength_, this.maxOrder_) : Infinity;
   }
 
   /**
-   * Creates new context which is initially empty.
-   * @return {?Context} Context object.
-   * @final
+   * Returns the index of the per-depth parameters for a context length.
+   * Contexts longer than maxOrder (in unbounded mode) share the parameters
+   * of maxOrder.
+   * @param {number} depth Context length, negative past the root.
+   * @return {number} Index into the per-depth parameters.
+   * @final @private
+   */
+  depthIndex_(depth) {
+    return Math.min(Math.max(depth, 0), this.maxOrder_);
+  }
+
+  /**
+   * Adds symbol to the supplied node.
+   * @param {number} node Tree node which to grow.
+   * @param {number} symbol Symbol.
+   * @param {number=} order Order of the context the node represents. Only
+   *     needed for contexts longer than maxOrder in unbounded mode.
+   * @return {number} Node with the symbol, or nilNode if the node budget
+   *     prevented adding it.
+   * @final @private
+   */
+  addSymbolToNode_(node, symbol, order = 0) {
+    // Walk down the backoff chain creating a child node in every context
+    // that has not seen the symbol yet, until a context that has seen it is
+    // updated. New nodes back off to the node for the next shorter context.
+    // This is a loop rather than a recursion because contexts can be very
+    // long in unbounded mode. Note that the node arrays may be reallocated
+    // while adding nodes.
+    const nodes = this.nodes_;
+    const newNodes = [];
+    let lowerNode = nilNode;
+    for (let current = node; ; current = nodes.backoff_[current], order--) {
+      const existing = nodes.findChildWithSymbol(current, symbol);
+      if (existing != nilNode && order > this.maxOrder_) {
+        // Contexts longer than maxOrder are counted at every length, which
+        // leaves the counts of the shorter contexts as in a bounded model.
+        this.incrementCount_(current, existing);
+        newNodes.push(existing);
+        continue;
+      }
+      if (existing != nilNode) {
+        this.updateCounts_(current, existing);
+        lowerNode = existing;
+        break;
+      }
+      if (!this.canAddNode_() &&
+        (this.evictionPolicy_ == 'none' || this.evictNodes_(node, newNodes) == 0)) {
+        lowerNode = this.addSymbolWithBudgetFallback_(current, symbol);
+        break;
+      }
+      const symbolNode = nodes.allocate(symbol);
+      nodes.next_[symbolNode] = nodes.child_[current];
+      nodes.child_[current] = symbolNode;
+      this.numNodes_++;
+      newNodes.push(symbolNode);
+      if (current == this.root_) {
+        // Shortest possible context.
+        lowerNode = this.root_;
+        break;
+      }
+      assert(nodes.backoff_[current] != nilNode, 'Expected valid backoff node');
+    }
+    // Link the backoffs from the shortest context up. Nodes that already
+    // existed keep their backoff.
+    for (let i = newNodes.length - 1; i >= 0; --i) {
+      if (nodes.backoff_[newNodes[i]] == nilNode) {
+        nodes.backoff_[newNodes[i]] = lowerNode;
+      }
+      lowerNode = newNodes[i];
+    }
+    return lowerNode;
+  }
+
+  /**
+   * Creates new context which is initially empty.
+   * @return {?Context} Context object.
+   * @final
    */
   createContext() {
     return new Context(this.rootContext_.head_, this.rootContext_.order_);
@@ -365,15 +1351,16 @@ class PPMLanguageModel {
    * @final
    */
   addSymbolToContext(context, symbol) {
+    const nodes = this.nodes_;
     if (symbol <= vocab.rootSymbol) { // Only add valid symbols.
       return;
     }
     assert(symbol < this.vocab_.size(), 'Invalid symbol: ' + symbol);
-    while (context.head_ != null) {
-      if (context.order_ < this.maxOrder_) {
+    while (context.head_ != nilNode) {
+      if (context.order_ < this.contextLimit_()) {
         // Extend the current context.
-        const childNode = context.head_.findChildWithSymbol(symbol);
-        if (childNode != null) {
+        const childNode = nodes.findChildWithSymbol(context.head_, symbol);
+        if (childNode != nilNode) {
           context.head_ = childNode;
           context.order_++;
           return;
@@ -381,9 +1368,9 @@ class PPMLanguageModel {
       }
       // Try to extend the shorter context.
       context.order_--;
-      context.head_ = context.head_.backoff_;
+      context.head_ = nodes.backoff_[context.head_];
     }
-    if (context.head_ == null) {
+    if (context.head_ == nilNode) {
       context.head_ = this.root_;
       context.order_ = 0;
     }
@@ -400,20 +1387,361 @@ class PPMLanguageModel {
       return;
     }
     assert(symbol < this.vocab_.size(), 'Invalid symbol: ' + symbol);
-    const symbolNode = this.addSymbolToNode_(context.head_, symbol);
-    if (symbolNode == null) {
+    if (this.alphas_ != null && this.method_ == 'kn') {
+      this.updateParameters_(context, symbol);
+    }
+    this.nodes_.clock_++;
+    const symbolNode = this.addSymbolToNode_(context.head_, symbol, context.order_);
+    if (symbolNode == nilNode) {
       // Node budget prevented adding this symbol at all.
       this.addSymbolToContext(context, symbol);
       return;
     }
-    assert(symbolNode == context.head_.findChildWithSymbol(symbol) ||
-      context.head_.findChildWithSymbol(symbol) == null);
+    const nodes = this.nodes_;
+    if (symbolNode == nodes.findChildWithSymbol(context.head_, symbol) || !this.unbounded_) {
+      context.order_++;
+    } else {
+      // The node budget made the symbol go to a shorter context. Unbounded
+      // mode shortens the context below based on its order, so the order is
+      // recomputed: every backoff is one symbol shorter.
+      context.order_ = 0;
+      for (let node = symbolNode; node != this.root_; node = nodes.backoff_[node]) {
+        context.order_++;
+      }
+    }
     context.head_ = symbolNode;
-    context.order_++;
-    while (context.order_ > this.maxOrder_) {
-      context.head_ = context.head_.backoff_;
+    // In unbounded mode, contexts longer than maxOrder are only kept once they
+    // have been seen before, so that every repetition of a phrase extends the
+    // contexts by one symbol while text seen once costs no more nodes than a
+    // bounded model.
+    const limit = this.contextLimit_();
+    while (context.order_ > limit ||
+      (context.order_ > this.maxOrder_ && nodes.count_[context.head_] <= 1)) {
+      context.head_ = nodes.backoff_[context.head_];
       context.order_--;
     }
+    this.decayIfDue_();
+  }
+
+  /**
+   * Takes a gradient step on the per-depth parameters towards a higher
+   * log-probability of the symbol about to be observed in the given context.
+   *
+   * This follows the dynamic parameter updates of
+   *   Steinruecken, Christian and Ghahramani, Zoubin and MacKay, David
+   *   (2015): "Improving PPM with dynamic parameter updates", In Proc. Data
+   *   Compression Conference (DCC-2015), pp. 193--202, Snowbird, UT, USA.
+   * With the notation of getProbs(), the probability of symbol $x$ blended
+   * down to depth $d$ is
+   *   P_d(x) = a_d(x) + \lambda_d P_{d-1}(x) ,
+   *   a_d(x) = \frac{n(x) - \beta_d}{T + \alpha_d} ,
+   *   \lambda_d = \frac{q \beta_d + \alpha_d}{T + \alpha_d} ,
+   * where $a_d(x)$ is zero when $x$ is not predicted (or is excluded) at
+   * depth $d$. The derivatives of $\log P(x)$ with respect to $\alpha_d$ and
+   * $\beta_d$ follow from the derivatives of $a_d$ and $\lambda_d$, scaled
+   * by the product of the $\lambda$s of the longer contexts.
+   *
+   * @param {?Context} context Context the symbol is observed in.
+   * @param {number} symbol Observed symbol.
+   * @final @private
+   */
+  updateParameters_(context, symbol) {
+    // Collect the statistics getProbs() would use at every depth.
+    const nodes = this.nodes_;
+    const excluded = this.useExclusion_ ? new Set() : null;
+    const levels = [];
+    let [node, depth] = this.predictionContext_(context);
+    for (; node != nilNode; node = nodes.backoff_[node], depth--) {
+      let total = 0;
+      let numChildren = 0;
+      let symbolCount = 0;
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        if (excluded && excluded.has(nodes.symbol_[child])) {
+          continue;
+        }
+        total += nodes.count_[child];
+        numChildren++;
+        if (nodes.symbol_[child] == symbol) {
+          symbolCount = nodes.count_[child];
+        }
+      }
+      if (total > 0) {
+        levels.push({ depth: this.depthIndex_(depth), total, numChildren, symbolCount });
+      }
+      if (excluded) {
+        for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+          excluded.add(nodes.symbol_[child]);
+        }
+      }
+    }
+    if (levels.length == 0) {
+      return;
+    }
+
+    // Probability of the symbol under the uniform distribution at the end of
+    // the blending. When every symbol has been excluded, getProbs() spreads
+    // the remaining mass over all the symbols instead.
+    let lowerProb = 1 / (this.vocab_.size() - 1);
+    if (excluded) {
+      const numUnseen = this.vocab_.size() - 1 - excluded.size;
+      if (numUnseen > 0) {
+        lowerProb = excluded.has(symbol) ? 0 : 1 / numUnseen;
+      }
+    }
+
+    // Blend from the shortest context up, remembering P_{d-1} at every depth.
+    for (let i = levels.length - 1; i >= 0; --i) {
+      const level = levels[i];
+      const alpha = this.alphas_[level.depth];
+      const beta = this.betas_[level.depth];
+      const denominator = level.total + alpha;
+      level.lowerProb = lowerProb;
+      level.lambda = (level.numChildren * beta + alpha) / denominator;
+      const a = level.symbolCount > 0 ? (level.symbolCount - beta) / denominator : 0;
+      lowerProb = a + level.lambda * lowerProb;
+    }
+    const prob = lowerProb;
+    if (!(prob > 0)) {
+      return;
+    }
+
+    // Compute all the gradients before changing any parameter.
+    const steps = [];
+    let scale = this.learningRate_ / prob;
+    for (const level of levels) {
+      const alpha = this.alphas_[level.depth];
+      const beta = this.betas_[level.depth];
+      const denominator = level.total + alpha;
+      const squared = denominator * denominator;
+      let gradAlpha = (level.total - level.numChildren * beta) / squared * level.lowerProb;
+      let gradBeta = level.numChildren / denominator * level.lowerProb;
+      if (level.symbolCount > 0) {
+        gradAlpha -= (level.symbolCount - beta) / squared;
+        gradBeta -= 1 / denominator;
+      }
+      steps.push([level.depth, scale * gradAlpha, scale * gradBeta]);
+      scale *= level.lambda;
+    }
+    for (const [level, alphaStep, betaStep] of steps) {
+      this.alphas_[level] = Math.min(maxDynamicAlpha,
+        Math.max(minDynamicAlpha, this.alphas_[level] + alphaStep));
+      this.betas_[level] = Math.min(maxDynamicBeta,
+        Math.max(0, this.betas_[level] + betaStep));
+    }
+  }
+
+  /**
+   * Returns the alpha and beta used at every context depth (0 to maxOrder).
+   * Without dynamic parameters all depths use the global values.
+   * @return {!Object} Object with `alphas` and `betas` arrays.
+   * @final
+   */
+  getDepthParameters() {
+    const numDepths = this.maxOrder_ + 1;
+    return {
+      alphas: this.alphas_ != null ? this.alphas_.slice() :
+        new Array(numDepths).fill(this.alpha_),
+      betas: this.betas_ != null ? this.betas_.slice() :
+        new Array(numDepths).fill(this.beta_)
+    };
+  }
+
+  /**
+   * Applies the periodic count decay once every decayInterval updates.
+   * @final @private
+   */
+  decayIfDue_() {
+    if (this.decayInterval_ <= 0) {
+      return;
+    }
+    this.updatesSinceDecay_++;
+    if (this.updatesSinceDecay_ >= this.decayInterval_) {
+      this.rescaleCounts(this.decayFactor_);
+      this.updatesSinceDecay_ = 0;
+    }
+  }
+
+  /**
+   * Returns the discount and denominator of a classic escape method for the
+   * given context node, so that a symbol seen n times gets a probability of
+   * (n - discount) / denominator, and the rest escapes to the shorter context.
+   * With T observations of q distinct symbols (t1 of them seen once):
+   *   A: n / (T + 1),       escape 1 / (T + 1);
+   *   B: (n - 1) / T,       escape q / T;
+   *   C: n / (T + q),       escape q / (T + q);
+   *   D: (n - 1/2) / T,     escape q / 2T;
+   *   X: n (T - t1) / T^2,  escape t1 / T, falling back to C when t1 is 0
+   *      or T.
+   * Excluded symbols are not counted.
+   * @param {number} node Context node.
+   * @param {number} total Total count of the non-excluded children.
+   * @param {?Array<boolean>} exclusionMask Exclusion mask, or null.
+   * @return {!Array<number>} Discount and denominator.
+   * @final @private
+   */
+  escapeEstimator_(node, total, exclusionMask) {
+    if (this.method_ == 'a') {
+      return [0, total + 1];
+    } else if (this.method_ == 'b') {
+      return [1, total];
+    } else if (this.method_ == 'd') {
+      return [0.5, total];
+    }
+    const nodes = this.nodes_;
+    let numSymbols = 0;
+    let numSingletons = 0;
+    for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+      if (!exclusionMask || !exclusionMask[nodes.symbol_[child]]) {
+        numSymbols++;
+        if (nodes.count_[child] == 1) {
+          numSingletons++;
+        }
+      }
+    }
+    if (this.method_ == 'x' && numSingletons > 0 && numSingletons < total) {
+      return [0, total * total / (total - numSingletons)];
+    }
+    return [0, total + numSymbols];
+  }
+
+  /**
+   * Returns the context node that the estimation starts from, with its order.
+   *
+   * Normally this is the head of the context. In unbounded mode it is the
+   * shortest deterministic context, i.e. the shortest context in which only
+   * one symbol has been seen, if there is one. This is the PPM* rule of
+   *   Cleary, John G. and Teahan, W. J. and Witten, Ian H. (1995):
+   *   "Unbounded length contexts for PPM", In Proc. Data Compression
+   *   Conference (DCC-95), pp. 52--61, Snowbird, UT, USA.
+   * Longer contexts predict the same symbol from fewer observations, so
+   * starting from them would make the prediction less confident. Contexts
+   * whose symbol has been seen fewer than minDeterministicCount times are not
+   * trusted, and without a deterministic context the estimation starts from
+   * the context of length maxOrder, as in the bounded model.
+   *
+   * @param {?Context} context Context object.
+   * @return {!Array<number>} Node and its order.
+   * @final @private
+   */
+  predictionContext_(context) {
+    let start = context.head_;
+    let startOrder = context.order_;
+    if (this.unbounded_) {
+      const nodes = this.nodes_;
+      for (; startOrder > this.maxOrder_; startOrder--) {
+        start = nodes.backoff_[start];
+      }
+      let order = context.order_;
+      for (let node = context.head_; node != nilNode && order > 0;
+        node = nodes.backoff_[node], order--) {
+        const child = nodes.child_[node];
+        if (child != nilNode && nodes.next_[child] == nilNode &&
+          nodes.count_[child] >= minDeterministicCount) {
+          start = node;
+          startOrder = order;
+        }
+      }
+    }
+    return [start, startOrder];
+  }
+
+  /**
+   * Blends the estimates of all the suffixes of the context, from the longest
+   * to the shortest, into the probabilities of the symbols seen in them.
+   * @param {?Context} context Context symbols.
+   * @param {!Array<number>|!Float64Array} probs Probabilities indexed by
+   *     symbol, initially zero, to add the estimates to.
+   * @param {?Array<boolean>|?Uint8Array} exclusionMask Symbols not to
+   *     estimate: those not allowed and, with exclusion, those already
+   *     estimated by a longer context, which are added to it. Null when
+   *     exclusion is disabled and all symbols are allowed.
+   * @param {?Array<number>=} seenSymbols If supplied, receives every symbol
+   *     given a non-zero probability (or excluded), once.
+   * @return {number} Probability mass left for the uniform distribution.
+   * @final @private
+   */
+  blendContexts_(context, probs, exclusionMask, seenSymbols = null) {
+    // This runs over all the symbols in the context and over all the suffixes
+    // (orders) of the context. If the exclusion mechanism is enabled, the
+    // estimate for a higher-order ngram is fully trusted and is excluded from
+    // further interpolation with lower-order estimates.
+    //
+    // Exclusion mechanism is disabled by default. Enable it with care: it has
+    // been shown to work well on large corpora, but may in theory degrade the
+    // performance on smaller sets (as we observed with default Dasher English
+    // training data).
+    const nodes = this.nodes_;
+    let totalMass = 1.0;
+    let [node, depth] = this.predictionContext_(context);
+    let gamma = totalMass;
+    while (node != nilNode) {
+      const count = nodes.totalChildrenCounts(node, exclusionMask);
+      if (count > 0) {
+        // Every estimator has the form (n(w') - discount) / denominator.
+        let discount;
+        let denominator;
+        if (this.method_ == 'kn') {
+          // Per-depth parameters, if learned (see updateParameters_()).
+          const alpha = this.alphas_ != null ? this.alphas_[this.depthIndex_(depth)] : this.alpha_;
+          discount = this.betas_ != null ? this.betas_[this.depthIndex_(depth)] : this.beta_;
+          denominator = count + alpha;
+        } else {
+          [discount, denominator] = this.escapeEstimator_(node, count, exclusionMask);
+        }
+        let childNode = nodes.child_[node];
+        while (childNode != nilNode) {
+          const symbol = nodes.symbol_[childNode];
+          const childCount = nodes.count_[childNode];
+          // Symbols getting no mass here (count 1 in method B) are left to the
+          // shorter contexts rather than excluded.
+          if ((!exclusionMask || !exclusionMask[symbol]) && childCount > discount) {
+            const p = gamma * (childCount - discount) / denominator;
+            if (seenSymbols && (this.useExclusion_ || (probs[symbol] == 0.0 && p > 0.0))) {
+              seenSymbols.push(symbol);
+            }
+            probs[symbol] += p;
+            totalMass -= p;
+            if (this.useExclusion_) {
+              exclusionMask[symbol] = true;
+            }
+          }
+          childNode = nodes.next_[childNode];
+        }
+      }
+
+      // Backoff to lower-order context. The $\gamma$ factor represents the
+      // total probability mass after processing the current $n$-th order before
+      // backing off to $n-1$-th order. It roughly corresponds to the usual
+      // interpolation parameter, as used in the literature, e.g. in
+      //   Stanley F. Chen and Joshua Goodman (1999): "An empirical study of
+      //   smoothing techniques for language modeling", Computer Speech and
+      //   Language, vol. 13, pp. 359-–394.
+      //
+      // Note on computing $gamma$:
+      // --------------------------
+      // According to the PPM papers, and in particular the Section 4 of
+      //   Steinruecken, Christian and Ghahramani, Zoubin and MacKay,
+      //   David (2016): "Improving PPM with dynamic parameter updates", In
+      //   Proc. Data Compression Conference (DCC-2015), pp. 193--202, April,
+      //   Snowbird, UT, USA. IEEE,
+      // that describes blending (i.e. interpolation), the second multiplying
+      // factor in the interpolation $\lambda$ for a given suffix node $x_h$ in
+      // the tree is given by
+      //   \lambda(x_h) = \frac{q(x_h) * \beta + \alpha}{T(x_h) + \alpha} .
+      // It can be shown that
+      //   \gamma(x_h) = 1.0 - \sum_{w'}
+      //      \frac{\max(n(w', x_h) - \beta, 0)}{T(x_h) + \alpha} =
+      //      \lambda(x_h)
+      // and, in the update below, the following is equivalent:
+      //   \gamma = \gamma * \gamma(x_h) = totalMass .
+      //
+      // Since gamma *= (numChildren * beta + alpha) / (count + alpha) is
+      // expensive, we assign the equivalent totalMass value to gamma.
+      node = nodes.backoff_[node];
+      depth--;
+      gamma = totalMass;
+    }
+    return totalMass;
   }
 
   /**
@@ -456,13 +1784,25 @@ class PPMLanguageModel {
    *   Compression Conference (DCC-2015), pp. 193--202, April, Snowbird, UT,
    *   USA. IEEE.
    *
+   * Restricted distributions:
+   * -------------------------
+   * When only some symbols can be entered (e.g. an on-screen keyboard without
+   * digits), the other symbols are excluded up front at every order, just
+   * like symbols estimated by a longer context are excluded. Their counts do
+   * not contribute to the totals or the escape estimates, and the remaining
+   * mass is spread over the allowed symbols only, so the distribution sums to
+   * one over them.
+   *
    * @param {?Context} context Context symbols.
+   * @param {Object=} options Options.
+   * @param {?Array<number>=} options.allowedSymbols The only symbols that can
+   *     get a non-zero probability (default: all).
    * @return {?array} Array of floating point probabilities corresponding to all
    *                  the symbols in the vocabulary plus the 0th element
    *                  representing the root of the tree that should be ignored.
    * @final
    */
-  getProbs(context) {
+  getProbs(context, options = {}) {
     // Initialize the initial estimates. Note, we don't use uniform
     // distribution here.
     const numSymbols = this.vocab_.size();
@@ -471,78 +1811,20 @@ class PPMLanguageModel {
       probs[i] = 0.0;
     }
 
-    // Initialize the exclusion mask.
+    // Initialize the exclusion mask, excluding the symbols not allowed.
+    const allowed = this.allowedSymbolsMask_(options.allowedSymbols);
     let exclusionMask = null;
-    if (this.useExclusion_) {
+    if (this.useExclusion_ || allowed) {
       exclusionMask = new Array(numSymbols);
       for (let i = 0; i < numSymbols; ++i) {
-        exclusionMask[i] = false;
+        exclusionMask[i] = allowed ? !allowed[i] : false;
       }
     }
 
     // Estimate the probabilities for all the symbols in the supplied context.
     // This runs over all the symbols in the context and over all the suffixes
-    // (orders) of the context. If the exclusion mechanism is enabled, the
-    // estimate for a higher-order ngram is fully trusted and is excluded from
-    // further interpolation with lower-order estimates.
-    //
-    // Exclusion mechanism is disabled by default. Enable it with care: it has
-    // been shown to work well on large corpora, but may in theory degrade the
-    // performance on smaller sets (as we observed with default Dasher English
-    // training data).
-    let totalMass = 1.0;
-    let node = context.head_;
-    let gamma = totalMass;
-    while (node != null) {
-      const count = node.totalChildrenCounts(exclusionMask);
-      if (count > 0) {
-        let childNode = node.child_;
-        while (childNode != null) {
-          const symbol = childNode.symbol_;
-          if (!exclusionMask || !exclusionMask[symbol]) {
-            const p = gamma * (childNode.count_ - this.beta_) /
-              (count + this.alpha_);
-            probs[symbol] += p;
-            totalMass -= p;
-            if (exclusionMask) {
-              exclusionMask[symbol] = true;
-            }
-          }
-          childNode = childNode.next_;
-        }
-      }
-
-      // Backoff to lower-order context. The $\gamma$ factor represents the
-      // total probability mass after processing the current $n$-th order before
-      // backing off to $n-1$-th order. It roughly corresponds to the usual
-      // interpolation parameter, as used in the literature, e.g. in
-      //   Stanley F. Chen and Joshua Goodman (1999): "An empirical study of
-      //   smoothing techniques for language modeling", Computer Speech and
-      //   Language, vol. 13, pp. 359-–394.
-      //
-      // Note on computing $gamma$:
-      // --------------------------
-      // According to the PPM papers, and in particular the Section 4 of
-      //   Steinruecken, Christian and Ghahramani, Zoubin and MacKay,
-      //   David (2016): "Improving PPM with dynamic parameter updates", In
-      //   Proc. Data Compression Conference (DCC-2015), pp. 193--202, April,
-      //   Snowbird, UT, USA. IEEE,
-      // that describes blending (i.e. interpolation), the second multiplying
-      // factor in the interpolation $\lambda$ for a given suffix node $x_h$ in
-      // the tree is given by
-      //   \lambda(x_h) = \frac{q(x_h) * \beta + \alpha}{T(x_h) + \alpha} .
-      // It can be shown that
-      //   \gamma(x_h) = 1.0 - \sum_{w'}
-      //      \frac{\max(n(w', x_h) - \beta, 0)}{T(x_h) + \alpha} =
-      //      \lambda(x_h)
-      // and, in the update below, the following is equivalent:
-      //   \gamma = \gamma * \gamma(x_h) = totalMass .
-      //
-      // Since gamma *= (numChildren * beta + alpha) / (count + alpha) is
-      // expensive, we assign the equivalent totalMass value to gamma.
-      node = node.backoff_;
-      gamma = totalMass;
-    }
+    // (orders) of the context (see blendContexts_()).
+    let totalMass = this.blendContexts_(context, probs, exclusionMask);
     assert(totalMass >= 0.0,
       'Invalid remaining probability mass: ' + totalMass);
 
@@ -572,8 +1854,14 @@ class PPMLanguageModel {
       }
     }
     let leftSymbols = numSymbols - 1;
+    if (allowed) {
+      leftSymbols = allowed.reduce((sum, isAllowed) => sum + isAllowed, 0);
+    }
     let newProbMass = 0.0;
     for (let i = 1; i < numSymbols; ++i) {
+      if (allowed && !allowed[i]) {
+        continue;
+      }
       const p = totalMass / leftSymbols;
       probs[i] += p;
       totalMass -= p;
@@ -585,21 +1873,587 @@ class PPMLanguageModel {
     return probs;
   }
 
+  /**
+   * Converts a list of allowed symbols into a mask indexed by symbol.
+   * @param {?Array<number>=} allowedSymbols Allowed symbols, or null for all.
+   * @return {?Uint8Array} Mask with ones for the allowed symbols, or null.
+   * @final @private
+   */
+  allowedSymbolsMask_(allowedSymbols) {
+    if (allowedSymbols == null) {
+      return null;
+    }
+    assert(Array.isArray(allowedSymbols) && allowedSymbols.length > 0,
+      'allowedSymbols must be a non-empty array');
+    const mask = new Uint8Array(this.vocab_.size());
+    for (const symbol of allowedSymbols) {
+      assert(Number.isInteger(symbol) && symbol > vocab.rootSymbol &&
+        symbol < this.vocab_.size(), 'Invalid symbol: ' + symbol);
+      mask[symbol] = 1;
+    }
+    return mask;
+  }
+
+  /**
+   * Returns the probabilities of the symbols seen in the context and its
+   * suffixes. Instead of allocating arrays the size of the vocabulary for
+   * every query, the blending uses scratch arrays kept by the model and only
+   * resets the entries it touched.
+   * @param {?Context} context Context symbols.
+   * @return {!Object} The seen symbols (`symbols`), their probabilities
+   *     (`probs`, in the same order) and the probability of every other
+   *     symbol (`unseen`).
+   * @final @private
+   */
+  getSparseProbs_(context) {
+    const numSymbols = this.vocab_.size();
+    if (this.scratchProbs_ == null || this.scratchProbs_.length < numSymbols) {
+      const capacity = Math.max(numSymbols, 2 * (this.scratchProbs_ ? this.scratchProbs_.length : 0));
+      this.scratchProbs_ = new Float64Array(capacity);
+      this.scratchMask_ = new Uint8Array(capacity);
+    }
+    const scratchProbs = this.scratchProbs_;
+    const exclusionMask = this.useExclusion_ ? this.scratchMask_ : null;
+    const symbols = [];
+    const totalMass = this.blendContexts_(context, scratchProbs, exclusionMask, symbols);
+    const probs = new Array(symbols.length);
+    for (let i = 0; i < symbols.length; ++i) {
+      probs[i] = scratchProbs[symbols[i]];
+      scratchProbs[symbols[i]] = 0.0;
+      if (exclusionMask) {
+        exclusionMask[symbols[i]] = 0;
+      }
+    }
+    assert(totalMass >= 0.0,
+      'Invalid remaining probability mass: ' + totalMass);
+
+    // The rest is spread uniformly as in getProbs(): over the symbols not
+    // estimated yet with exclusion, otherwise (or if there are none left)
+    // over all the symbols.
+    const numUnseenSymbols = exclusionMask ? numSymbols - 1 - symbols.length : 0;
+    if (numUnseenSymbols > 0) {
+      return { symbols, probs, unseen: totalMass / numUnseenSymbols };
+    }
+    const unseen = totalMass / (numSymbols - 1);
+    for (let i = 0; i < probs.length; ++i) {
+      probs[i] += unseen;
+    }
+    return { symbols, probs, unseen };
+  }
+
+  /**
+   * Returns the probability of a single symbol given the context. This is
+   * the value getProbs() returns for the symbol (up to rounding), computed
+   * from the nodes on the backoff chain only.
+   *
+   * @param {?Context} context Context symbols.
+   * @param {number} symbol Integer symbol.
+   * @return {number} Probability of the symbol.
+   * @final
+   */
+  getProb(context, symbol) {
+    assert(symbol > vocab.rootSymbol && symbol < this.vocab_.size(),
+      'Invalid symbol: ' + symbol);
+    const { symbols, probs, unseen } = this.getSparseProbs_(context);
+    const index = symbols.indexOf(symbol);
+    return index >= 0 ? probs[index] : unseen;
+  }
+
+  /**
+   * Returns the k most probable symbols given the context, with the
+   * probabilities getProbs() returns for them (up to rounding). Only the
+   * nodes on the backoff chain are visited, which keeps per-keystroke queries
+   * cheap for large alphabets. Ties are broken by the lower symbol.
+   *
+   * @param {?Context} context Context symbols.
+   * @param {number} k Number of symbols to return.
+   * @return {!Array<!Object>} Up to k `{symbol, probability}` objects, most
+   *     probable first.
+   * @final
+   */
+  getTopK(context, k) {
+    assert(Number.isInteger(k) && k >= 0, 'k must be a non-negative integer');
+    const { symbols, probs, unseen } = this.getSparseProbs_(context);
+    // Keep the best k seen symbols in order, most probable first.
+    const top = [];
+    const isBetter = (probability, symbol, entry) => probability > entry.probability ||
+      (probability == entry.probability && symbol < entry.symbol);
+    const insert = (symbol, probability) => {
+      if (top.length == k && !isBetter(probability, symbol, top[k - 1])) {
+        return;
+      }
+      let i = Math.min(top.length, k - 1);
+      while (i > 0 && isBetter(probability, symbol, top[i - 1])) {
+        top[i] = top[i - 1];
+        i--;
+      }
+      top[i] = { symbol, probability };
+    };
+    if (k == 0) {
+      return top;
+    }
+    for (let i = 0; i < symbols.length; ++i) {
+      insert(symbols[i], probs[i]);
+    }
+    // Symbols not seen in any suffix all share the same probability, so only
+    // the first k of them can make it into the result.
+    if (top.length < k || !(top[k - 1].probability > unseen)) {
+      const seen = new Set(symbols);
+      const numSymbols = this.vocab_.size();
+      for (let symbol = 1, numUnseen = 0; symbol < numSymbols && numUnseen < k; ++symbol) {
+        if (!seen.has(symbol)) {
+          insert(symbol, unseen);
+          numUnseen++;
+        }
+      }
+    }
+    return top;
+  }
+
+  /**
+   * Evaluates the model on a sequence of symbols.
+   *
+   * Every symbol is scored with getProbs() in the context of the symbols
+   * preceding it. By default the context is only advanced, so the model is
+   * not changed. In adaptive mode the model is updated after scoring each
+   * symbol, as it would be when compressing the sequence.
+   *
+   * @param {!Array<number>} symbols Sequence of integer symbols.
+   * @param {Object=} options Evaluation options.
+   * @param {boolean=} options.adaptive Update the model with every symbol
+   *     (default: false).
+   * @param {?Context=} options.context Context to start from (default: the
+   *     empty context). The supplied context is not modified.
+   * @return {!Object} Evaluation result with the number of symbols, the
+   *     base-2 log-probability of every symbol (logProbs), the total number
+   *     of bits, bits per symbol and perplexity.
+   * @final
+   */
+  evaluate(symbols, options = {}) {
+    const adaptive = options.adaptive === true;
+    const context = options.context ?
+      this.cloneContext(options.context) : this.createContext();
+
+    const logProbs = new Array(symbols.length);
+    let totalBits = 0;
+    for (let i = 0; i < symbols.length; ++i) {
+      const symbol = symbols[i];
+      assert(symbol > vocab.rootSymbol && symbol < this.vocab_.size(),
+        'Invalid symbol: ' + symbol);
+      const logProb = Math.log2(this.getProbs(context)[symbol]);
+      logProbs[i] = logProb;
+      totalBits -= logProb;
+      if (adaptive) {
+        this.addSymbolAndUpdate(context, symbol);
+      } else {
+        this.addSymbolToContext(context, symbol);
+      }
+    }
+
+    const bitsPerSymbol = symbols.length > 0 ? totalBits / symbols.length : 0;
+    return {
+      numSymbols: symbols.length,
+      logProbs,
+      totalBits,
+      bitsPerSymbol,
+      perplexity: Math.pow(2, bitsPerSymbol)
+    };
+  }
+
+  /**
+   * Serializes the whole model into a compact binary buffer.
+   *
+   * Layout (all integers are unsigned LEB128 varints):
+   *   - magic "PPMT", format version byte, flags byte;
+   *   - model parameters as a length-prefixed JSON string;
+   *   - vocabulary: number of symbols followed by the symbols (excluding the
+   *     root symbol) as length-prefixed UTF-8 strings;
+   *   - number of nodes followed by the nodes in depth-first pre-order. Each
+   *     node is stored as (symbol, count, number of children, backoff index
+   *     plus one, where zero denotes no backoff).
+   * Sibling order is preserved so that the restored model produces exactly
+   * the same probabilities.
+   *
+   * @param {Object=} options Serialization options.
+   * @param {boolean=} options.includeVocabulary Store the vocabulary symbols
+   *     (default: true). Models sharing a vocabulary can omit it and supply
+   *     the vocabulary to deserialize() instead.
+   * @return {!ArrayBuffer} Serialized model.
+   * @final
+   */
+  serialize(options = {}) {
+    const includeVocabulary = options.includeVocabulary !== false;
+    const writer = new ByteWriter(64 + this.numNodes_ * 6);
+    for (const byte of serializationMagic) {
+      writer.writeUint8(byte);
+    }
+    writer.writeUint8(serializationVersion);
+    writer.writeUint8(includeVocabulary ? serializationFlagVocabulary : 0);
+
+    writer.writeString(JSON.stringify(this.getSerializableParameters_()));
+
+    if (includeVocabulary) {
+      const symbols = this.vocab_.symbols_;
+      writer.writeVarUint(symbols.length - 1);
+      for (let i = 1; i < symbols.length; ++i) {
+        writer.writeString(symbols[i]);
+      }
+    }
+
+    // Number the nodes in pre-order so that the trie shape can be restored
+    // from the per-node child counts alone.
+    const nodes = this.nodes_;
+    const order = [];
+    const stack = [this.root_];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      order.push(node);
+      const children = [];
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        children.push(child);
+      }
+      for (let i = children.length - 1; i >= 0; --i) {
+        stack.push(children[i]);
+      }
+    }
+    const indices = new Int32Array(nodes.size_);
+    for (let i = 0; i < order.length; ++i) {
+      indices[order[i]] = i;
+    }
+
+    writer.writeVarUint(order.length);
+    for (const node of order) {
+      let numChildren = 0;
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        numChildren++;
+      }
+      const backoff = nodes.backoff_[node];
+      writer.writeVarUint(nodes.symbol_[node]);
+      writer.writeVarUint(nodes.count_[node]);
+      writer.writeVarUint(numChildren);
+      writer.writeVarUint(backoff == nilNode ? 0 : indices[backoff] + 1);
+    }
+    return writer.toArrayBuffer();
+  }
+
+  /**
+   * Returns the model parameters stored alongside the serialized trie.
+   * @return {!Object} Plain JSON-compatible parameters.
+   * @final @private
+   */
+  getSerializableParameters_() {
+    return {
+      maxOrder: this.maxOrder_,
+      alpha: this.alpha_,
+      beta: this.beta_,
+      useExclusion: this.useExclusion_,
+      updateExclusion: this.updateExclusion_,
+      maxNodes: this.maxNodes_,
+      evictionPolicy: this.evictionPolicy_,
+      countLimit: this.countLimit_,
+      decayInterval: this.decayInterval_,
+      decayFactor: this.decayFactor_,
+      method: this.method_,
+      unbounded: this.unbounded_,
+      maxContextLength: this.maxContextLength_,
+      dynamicParameters: this.alphas_ != null,
+      learningRate: this.learningRate_,
+      alphas: this.alphas_ != null ? this.alphas_.slice() : undefined,
+      betas: this.betas_ != null ? this.betas_.slice() : undefined,
+      skippedNodeAdds: this.skippedNodeAdds_,
+      evictedNodes: this.evictedNodes_,
+      updatesSinceDecay: this.updatesSinceDecay_
+    };
+  }
+
+  /**
+   * Restores a model previously written by serialize().
+   *
+   * @param {!ArrayBuffer|!ArrayBufferView} buffer Serialized model. Node
+   *     Buffers (e.g. from fs.readFileSync) are accepted as well.
+   * @param {Object=} options Deserialization options.
+   * @param {?Vocabulary=} options.vocab Vocabulary to attach the model to.
+   *     Required when the buffer was written without its vocabulary. When the
+   *     buffer does contain symbols, they must match the supplied vocabulary.
+   * @return {!PPMLanguageModel} Restored model.
+   * @final
+   */
+  static deserialize(buffer, options = {}) {
+    const reader = new ByteReader(buffer);
+    for (const byte of serializationMagic) {
+      if (reader.readUint8() !== byte) {
+        throw new Error('Invalid PPM model buffer: bad magic bytes');
+      }
+    }
+    const version = reader.readUint8();
+    if (version !== serializationVersion) {
+      throw new Error(`Unsupported PPM model format version: ${version}`);
+    }
+    const flags = reader.readUint8();
+    const params = JSON.parse(reader.readString());
+
+    let vocabulary = options.vocab || null;
+    if (flags & serializationFlagVocabulary) {
+      const numSymbols = reader.readVarUint();
+      const symbols = [];
+      for (let i = 0; i < numSymbols; ++i) {
+        symbols.push(reader.readString());
+      }
+      if (vocabulary == null) {
+        vocabulary = new vocab.Vocabulary();
+        for (const symbol of symbols) {
+          vocabulary.addSymbol(symbol);
+        }
+      } else {
+        symbols.forEach((symbol, i) => {
+          if (vocabulary.symbols_[i + 1] !== symbol) {
+            throw new Error(
+              `Vocabulary mismatch at symbol ${i + 1}: expected '${symbol}'`);
+          }
+        });
+      }
+    } else if (vocabulary == null) {
+      throw new Error('A vocabulary is required to load a model serialized without one');
+    }
+
+    const { maxOrder, skippedNodeAdds, evictedNodes, updatesSinceDecay, ...modelOptions } = params;
+    const model = new PPMLanguageModel(vocabulary, maxOrder, modelOptions);
+    model.skippedNodeAdds_ = skippedNodeAdds || 0;
+    model.evictedNodes_ = evictedNodes || 0;
+    model.updatesSinceDecay_ = updatesSinceDecay || 0;
+
+    const numNodes = reader.readVarUint();
+    if (numNodes < 1) {
+      throw new Error('Invalid PPM model buffer: missing root node');
+    }
+    // Nodes are allocated in the stored (pre-)order, so the stored backoff
+    // indices are also indices into the node arrays.
+    const nodes = model.nodes_;
+    nodes.reserve(numNodes);
+    // Stack of [node, number of children still to be attached, last attached
+    // child].
+    const stack = [];
+    for (let i = 0; i < numNodes; ++i) {
+      const symbol = reader.readVarUint();
+      const node = i === 0 ? model.root_ : nodes.allocate(symbol);
+      nodes.symbol_[node] = symbol;
+      nodes.count_[node] = reader.readVarUint();
+      const numChildren = reader.readVarUint();
+      const backoff = reader.readVarUint();
+      if (symbol >= vocabulary.size()) {
+        throw new Error(`Invalid PPM model buffer: unknown symbol ${symbol}`);
+      }
+      if (backoff > numNodes) {
+        throw new Error('Invalid PPM model buffer: backoff out of range');
+      }
+      nodes.backoff_[node] = backoff - 1;
+      if (i > 0) {
+        while (stack.length > 0 && stack[stack.length - 1][1] === 0) {
+          stack.pop();
+        }
+        if (stack.length === 0) {
+          throw new Error('Invalid PPM model buffer: malformed trie');
+        }
+        const parentEntry = stack[stack.length - 1];
+        // Append to the end of the sibling list to keep the original order.
+        if (parentEntry[2] == nilNode) {
+          nodes.child_[parentEntry[0]] = node;
+        } else {
+          nodes.next_[parentEntry[2]] = node;
+        }
+        parentEntry[1]--;
+        parentEntry[2] = node;
+      }
+      if (numChildren > 0) {
+        stack.push([node, numChildren, nilNode]);
+      }
+    }
+    if (stack.some(entry => entry[1] > 0)) {
+      throw new Error('Invalid PPM model buffer: truncated trie');
+    }
+    model.numNodes_ = numNodes;
+    return model;
+  }
+
+  /**
+   * Describes a context in a form that survives serialization: the symbols on
+   * the trie path from the root to the context head, plus the context order.
+   *
+   * @param {?Context} context Context object.
+   * @return {!Object} Plain object with `symbols` and `order` fields.
+   * @final
+   */
+  exportContext(context) {
+    // Nodes do not know their parents, so search the trie for the head
+    // keeping track of the current depth-first path.
+    const nodes = this.nodes_;
+    const stack = [[this.root_, 0]];
+    const path = [];
+    while (stack.length > 0) {
+      const [node, depth] = stack.pop();
+      path.length = Math.max(depth - 1, 0);
+      if (depth > 0) {
+        path.push(nodes.symbol_[node]);
+      }
+      if (node == context.head_) {
+        return { symbols: path.slice(), order: context.order_ };
+      }
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        stack.push([child, depth + 1]);
+      }
+    }
+    return { symbols: [], order: 0 };
+  }
+
+  /**
+   * Recreates a context described by exportContext(). Falls back to the
+   * longest existing prefix of the path if the trie has changed since.
+   *
+   * @param {!Object} state Context description.
+   * @return {?Context} Context object.
+   * @final
+   */
+  importContext(state) {
+    let head = this.root_;
+    let depth = 0;
+    for (const symbol of state.symbols || []) {
+      const child = this.nodes_.findChildWithSymbol(head, symbol);
+      if (child == nilNode) {
+        break;
+      }
+      head = child;
+      depth++;
+    }
+    const order = depth === (state.symbols || []).length &&
+      Number.isInteger(state.order) ? state.order : depth;
+    return new Context(head, order);
+  }
+
   /**
    * Prints the trie to console.
-   * @param {?Node} node Current trie node.
+   * @param {number} node Current trie node.
    * @param {string} indent Indentation prefix.
    * @final @private
    */
   printToConsole_(node, indent) {
-    console.log(indent + '  ' + this.vocab_.symbols_[node.symbol_] +
-                '(' + node.symbol_ + ') [' + node.count_ + ']');
+    const nodes = this.nodes_;
+    const symbol = nodes.symbol_[node];
+    console.log(indent + '  ' + this.vocab_.symbols_[symbol] +
+                '(' + symbol + ') [' + nodes.count_[node] + ']');
     indent += '  ';
-    let child = node.child_;
-    while (child != null) {
+    let child = nodes.child_[node];
+    while (child != nilNode) {
       this.printToConsole_(child, indent);
-      child = child.next_;
+      child = nodes.next_[child];
+    }
+  }
+
+  /**
+   * Walks the trie depth first and yields every n-gram it stores: a context,
+   * a symbol seen in it and the symbol's count. The context of a node is the
+   * path from the root to its parent, so `order` is the context length. The
+   * trie must not be changed while iterating.
+   *
+   * @param {Object=} options Options.
+   * @param {number=} options.maxOrder Skip contexts longer than this.
+   * @param {number=} options.minCount Skip n-grams with a lower count.
+   * @return {!Iterator<!Object>} `{context, symbol, count, order}` objects,
+   *     with the context as an array of integer symbols.
+   * @final
+   */
+  *ngrams(options = {}) {
+    const maxOrder = options.maxOrder !== undefined ? options.maxOrder : Infinity;
+    const minCount = options.minCount || 0;
+    const nodes = this.nodes_;
+    const path = [];
+    // Every entry is a node and the length of its context.
+    const stack = [[nodes.child_[this.root_], 0]];
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [node, order] = top;
+      if (node == nilNode) {
+        stack.pop();
+        continue;
+      }
+      top[0] = nodes.next_[node];
+      const symbol = nodes.symbol_[node];
+      const count = nodes.count_[node];
+      path.length = order;
+      if (count >= minCount) {
+        yield { context: path.slice(), symbol, count, order };
+      }
+      if (order < maxOrder && nodes.child_[node] != nilNode) {
+        path.push(symbol);
+        stack.push([nodes.child_[node], order + 1]);
+      }
+    }
+  }
+
+  /**
+   * Renders the trie in the Graphviz DOT language, e.g. for
+   * `dot -Tsvg trie.dot > trie.svg`. Nodes are labeled with their symbol and
+   * count. Child edges are solid; backoff (vine) edges are dashed and gray,
+   * and only drawn between rendered nodes. A node other than the root
+   * without a backoff, which should never happen, is drawn in red.
+   *
+   * @param {Object=} options Options.
+   * @param {number=} options.maxDepth Deepest level of nodes to render, the
+   *     root being at depth zero (default: all).
+   * @param {number=} options.minCount Skip nodes with a lower count, and
+   *     their subtrees (default: 0).
+   * @param {boolean=} options.showBackoff Draw the backoff edges (default:
+   *     true).
+   * @return {string} DOT graph.
+   * @final
+   */
+  toDot(options = {}) {
+    const maxDepth = options.maxDepth !== undefined ? options.maxDepth : Infinity;
+    const minCount = options.minCount || 0;
+    const showBackoff = options.showBackoff !== undefined ? options.showBackoff : true;
+    assert(maxDepth >= 0, 'maxDepth must be non-negative');
+    const nodes = this.nodes_;
+    const symbolLabel = (symbol) => {
+      const name = this.vocab_.symbols_[symbol];
+      const visible = name == ' ' ? '\u2423' :
+        name.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t')
+          .replace(/\r/g, '\\r');
+      // Escape the label for a quoted DOT string.
+      return visible.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    };
+
+    const lines = ['digraph PPM {', '  node [shape=box, fontname="monospace"];'];
+    const rendered = new Set();
+    const backoffEdges = [];
+    const queue = [[this.root_, 0]];
+    for (let i = 0; i < queue.length; ++i) {
+      const [node, depth] = queue[i];
+      rendered.add(node);
+      const attributes = node != this.root_ && nodes.backoff_[node] == nilNode ?
+        ', color=red' : '';
+      lines.push(`  n${node} [label="${symbolLabel(nodes.symbol_[node])}\\n${nodes.count_[node]}"` +
+        `${attributes}];`);
+      if (node != this.root_ && nodes.backoff_[node] != nilNode) {
+        backoffEdges.push([node, nodes.backoff_[node]]);
+      }
+      if (depth == maxDepth) {
+        continue;
+      }
+      for (let child = nodes.child_[node]; child != nilNode; child = nodes.next_[child]) {
+        if (nodes.count_[child] >= minCount) {
+          lines.push(`  n${node} -> n${child};`);
+          queue.push([child, depth + 1]);
+        }
+      }
+    }
+    if (showBackoff) {
+      for (const [node, backoff] of backoffEdges) {
+        if (rendered.has(backoff)) {
+          lines.push(`  n${node} -> n${backoff} [style=dashed, color=gray, constraint=false];`);
+        }
+      }
     }
+    lines.push('}');
+    return lines.join('\n') + '\n';
   }
 
   /**
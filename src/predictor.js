@@ -24,6 +24,17 @@ import * as fuzzy from './utils/fuzzy-matcher.js';
 import * as tokenizer from './utils/word-tokenizer.js';
 import { BKTree } from './utils/bk-tree.js';
 import { PrefixTrie } from './utils/prefix-trie.js';
+import * as base64 from './utils/base64.js';
+import { summarizeNgrams, toNgramJSON, toNgramTSV } from './ngram_table.js';
+import { createRandom } from './utils/random.js';
+
+// Identifier and version of the snapshot format produced by toJSON().
+const snapshotFormat = 'ppmpredictor-snapshot';
+const snapshotVersion = 1;
+
+// Smallest posterior weight of an active corpus, so that a corpus that
+// explained the text badly for a while can still recover.
+const minCorpusPosterior = 1e-6;
 
 /**
  * Configuration options for the predictor.
@@ -36,12 +47,37 @@ import { PrefixTrie } from './utils/prefix-trie.js';
  * @property {boolean} caseSensitive - Case-sensitive matching (default: false)
  * @property {number} maxPredictions - Maximum number of predictions to return (default: 10)
  * @property {boolean} adaptive - Update model as text is entered (default: false)
+ * @property {boolean} adaptiveRollback - Undo the adaptive updates of characters deleted
+ *     from the context (default: false)
+ * @property {number} rollbackDepth - Number of most recent context characters whose
+ *     saved contexts are kept, so deleting them needs no replay and can roll back
+ *     their adaptive updates (default: 1000)
+ * @property {boolean} adaptiveCorpusWeights - Learn the mixture weights of the active
+ *     corpora from the text added to the context (default: false)
+ * @property {number} corpusForgettingFactor - Forgetting factor of the adaptive corpus
+ *     weights, from 0 (only the last character counts) to 1 (no forgetting) (default: 0.99)
  * @property {Array<string>} lexicon - Optional word list for word prediction
  * @property {number} ppmAlpha - PPM smoothing alpha (default: 0.49)
  * @property {number} ppmBeta - PPM smoothing beta (default: 0.77)
+ * @property {string} ppmMethod - PPM estimator: 'kn' (Dasher blending, default) or the
+ *     classic escape methods 'a', 'b', 'c', 'd', 'x'
  * @property {boolean} ppmUseExclusion - Enable PPM exclusion at inference (default: true)
  * @property {boolean} ppmUpdateExclusion - Enable PPM single-count updates (default: true)
  * @property {number} ppmMaxNodes - Maximum trie nodes per corpus model (0 = unlimited)
+ * @property {string} ppmEvictionPolicy - At the node budget, 'none' stops learning new
+ *     contexts, 'lru' and 'lowest-count' evict old or rare ones (default: 'none')
+ * @property {number} ppmCountLimit - Halve a context's PPM counts when one exceeds this
+ *     (0 = unlimited, default: 0)
+ * @property {number} ppmDecayInterval - Rescale all PPM counts every N model updates
+ *     (0 = never, default: 0)
+ * @property {number} ppmDecayFactor - Factor applied by the periodic decay (default: 0.5)
+ * @property {boolean} ppmDynamicParameters - Learn PPM alpha/beta per context depth online
+ *     (default: false)
+ * @property {number} ppmLearningRate - Step size for dynamic PPM parameters (default: 0.003)
+ * @property {boolean} ppmUnbounded - PPM* mode: keep contexts longer than maxOrder for
+ *     repeated text (default: false)
+ * @property {number} ppmMaxContextLength - Longest context kept in PPM* mode
+ *     (0 = unlimited, default: 0)
  */
 
 /**
@@ -73,13 +109,30 @@ class Predictor {
       caseSensitive: config.caseSensitive !== undefined ? config.caseSensitive : false,
       maxPredictions: config.maxPredictions || 10,
       adaptive: config.adaptive !== undefined ? config.adaptive : false,
+      adaptiveRollback: config.adaptiveRollback !== undefined ? config.adaptiveRollback : false,
+      rollbackDepth: config.rollbackDepth !== undefined ? config.rollbackDepth : 1000,
+      adaptiveCorpusWeights: config.adaptiveCorpusWeights !== undefined ?
+        config.adaptiveCorpusWeights : false,
+      corpusForgettingFactor: config.corpusForgettingFactor !== undefined ?
+        config.corpusForgettingFactor : 0.99,
       lexicon: config.lexicon || [],
       ppmAlpha: config.ppmAlpha !== undefined ? config.ppmAlpha : 0.49,
       ppmBeta: config.ppmBeta !== undefined ? config.ppmBeta : 0.77,
+      ppmMethod: config.ppmMethod !== undefined ? config.ppmMethod : 'kn',
       ppmUseExclusion: config.ppmUseExclusion !== undefined ? config.ppmUseExclusion : true,
       ppmUpdateExclusion: config.ppmUpdateExclusion !== undefined ?
         config.ppmUpdateExclusion : true,
-      ppmMaxNodes: config.ppmMaxNodes !== undefined ? config.ppmMaxNodes : 0
+      ppmMaxNodes: config.ppmMaxNodes !== undefined ? config.ppmMaxNodes : 0,
+      ppmEvictionPolicy: config.ppmEvictionPolicy !== undefined ? config.ppmEvictionPolicy : 'none',
+      ppmCountLimit: config.ppmCountLimit !== undefined ? config.ppmCountLimit : 0,
+      ppmDecayInterval: config.ppmDecayInterval !== undefined ? config.ppmDecayInterval : 0,
+      ppmDecayFactor: config.ppmDecayFactor !== undefined ? config.ppmDecayFactor : 0.5,
+      ppmDynamicParameters: config.ppmDynamicParameters !== undefined ?
+        config.ppmDynamicParameters : false,
+      ppmLearningRate: config.ppmLearningRate !== undefined ? config.ppmLearningRate : 0.003,
+      ppmUnbounded: config.ppmUnbounded !== undefined ? config.ppmUnbounded : false,
+      ppmMaxContextLength: config.ppmMaxContextLength !== undefined ?
+        config.ppmMaxContextLength : 0
     };
 
     // Create vocabulary (shared across all corpora)
@@ -105,11 +158,20 @@ class Predictor {
           this._getPPMOptions()
         ),
         enabled: true,
+        weight: 1,
+        // Weight learned from the context (adaptiveCorpusWeights)
+        posterior: 1,
+        // Live context of this model, kept in step by addToContext()
+        context: null,
         description: 'Default training corpus',
         lexicon: this.config.lexicon || [],
         lexiconIndex: null,
         lexiconTree: null,
-        lexiconTrie: null
+        lexiconTrie: null,
+        // Bigram tracking for next-word prediction
+        // Maps "word1 word2" -> frequency count
+        bigrams: new Map(),
+        totalBigrams: 0
       }
     };
 
@@ -119,21 +181,22 @@ class Predictor {
     // Create PPM language model (points to default corpus for backward compatibility)
     this.model = this._corpora['default'].model;
 
-    // Create context
-    this.context = this.model.createContext();
+    // Live context of the current model (that of its corpus)
+    this.context = null;
 
-    // Bigram tracking for next-word prediction
-    // Maps "word1 word2" -> frequency count
-    this._bigrams = new Map();
-
-    // Track total bigram count for probability calculation
-    this._totalBigrams = 0;
+    // Characters added to the context since it was last reset, each with the
+    // context of every corpus before it, so that they can be deleted again.
+    // `contexts[key]` is null once the corpus trie has changed under it;
+    // `learned` is the corpus whose adaptive update can still be rolled back.
+    // Only the last rollbackDepth characters keep their contexts.
+    this._contextHistory = [];
 
     // Track the last word for bigram learning
     this._lastWord = null;
 
     // Build lexicon structures for default corpus
     this._buildCorpusLexicon('default');
+    this._rebuildCorpusContexts();
 
     // Apply PPM settings to all corpora.
     this._applyPPMConfigToModels();
@@ -158,22 +221,150 @@ class Predictor {
       return;
     }
 
+    this._trainCorpus(this._getModelCorpus(this.model), text);
+  }
+
+  /**
+   * Train an existing corpus on more text, extending its model and bigrams
+   * in place. Unlike addTrainingCorpus() with the same key, what the corpus
+   * has learned so far is kept, so new logs can be fed into a corpus as they
+   * come in.
+   *
+   * @param {string} corpusKey Corpus to extend
+   * @param {string} text Training text
+   *
+   * @example
+   * // Nightly job: add the day's conversations to the personal corpus
+   * predictor.appendToCorpus('personal', todaysMessages);
+   */
+  appendToCorpus(corpusKey, text) {
+    if (!this._corpora[corpusKey]) {
+      throw new Error(`Corpus '${corpusKey}' does not exist`);
+    }
+
+    if (!text || typeof text !== 'string') {
+      throw new Error('text must be a non-empty string');
+    }
+
+    this._trainCorpus(corpusKey, text);
+  }
+
+  /**
+   * Add words to the lexicon of an existing corpus, updating its prefix trie
+   * and BK-tree in place instead of rebuilding them. New words rank after
+   * the existing ones; words already in the lexicon are skipped.
+   *
+   * @param {string} corpusKey Corpus to extend
+   * @param {Array<string>} words Words to add
+   * @return {number} Number of words added
+   *
+   * @example
+   * predictor.addLexiconWords('personal', ['Anneliese', 'physio']);
+   */
+  addLexiconWords(corpusKey, words) {
+    const corpus = this._corpora[corpusKey];
+    if (!corpus) {
+      throw new Error(`Corpus '${corpusKey}' does not exist`);
+    }
+
+    if (!Array.isArray(words)) {
+      throw new Error('words must be an array of strings');
+    }
+
+    const added = words.filter(word => this._indexLexiconWord(corpus, word));
+    if (added.length > 0) {
+      // Copy rather than push: the default lexicon is the caller's config array.
+      corpus.lexicon = (Array.isArray(corpus.lexicon) ? corpus.lexicon : []).concat(added);
+      if (corpusKey === 'default') {
+        this.config.lexicon = corpus.lexicon;
+      }
+    }
+    return added.length;
+  }
+
+  /**
+   * Train the model of a corpus on text and learn its bigrams.
+   * @param {string} corpusKey Corpus to train.
+   * @param {string} text Training text.
+   * @private
+   */
+  _trainCorpus(corpusKey, text) {
+    const model = this._corpora[corpusKey].model;
+
     // Train character-level PPM model
     const chars = tokenizer.toCharArray(text);
-    const context = this.model.createContext();
+    const context = model.createContext();
+    // Node eviction may remove the nodes of the live context.
+    const evictedNodes = model.getStats().evictedNodes;
+    const contextState = this.config.ppmEvictionPolicy !== 'none' ?
+      model.exportContext(this._corpora[corpusKey].context) : null;
 
     for (const char of chars) {
       const symbolId = this.vocab.addSymbol(char);
-      this.model.addSymbolAndUpdate(context, symbolId);
+      model.addSymbolAndUpdate(context, symbolId);
+    }
+    if (contextState && model.getStats().evictedNodes > evictedNodes) {
+      this._restoreCorpusContext(corpusKey, contextState);
     }
 
     // Learn bigrams from the training text
-    this._learnBigramsFromText(text);
+    this._learnBigramsFromText(text, corpusKey);
+  }
+
+  /**
+   * Remove previously learned text from the model.
+   * Reverses the updates train() or adaptive addToContext() made for the
+   * text, deleting trie nodes that are no longer needed, and removes the
+   * text's word pairs from the bigrams.
+   *
+   * Forgetting is exact for the text learned last and close to exact for
+   * older text (see PPMLanguageModel.forget()).
+   *
+   * @param {string} text Text to forget.
+   * @param {Object} options Optional configuration
+   * @param {string} options.corpus Corpus to forget the text from
+   *   (default: the model train() and adaptive updates use).
+   * @return {Object} Number of removed trie nodes (`removedNodes`) and
+   *   bigram occurrences (`removedBigrams`).
+   *
+   * @example
+   * predictor.addToContext('my pin is 1234', true);
+   * predictor.unlearn('my pin is 1234');
+   */
+  unlearn(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return { removedNodes: 0, removedBigrams: 0 };
+    }
+
+    let corpusKey = this._getModelCorpus(this.model);
+    if (options.corpus !== undefined) {
+      if (!this._corpora[options.corpus]) {
+        throw new Error(`Corpus '${options.corpus}' does not exist`);
+      }
+      corpusKey = options.corpus;
+    }
+    const model = this._corpora[corpusKey].model;
+
+    // Symbols missing from the vocabulary cannot have been learned.
+    const symbols = tokenizer.toCharArray(text)
+      .map(char => this.vocab.getSymbol(char))
+      .filter(symbolId => symbolId > 0);
+
+    // The live context may point at nodes about to be deleted.
+    const contextState = model.exportContext(this._corpora[corpusKey].context);
+    const { removedNodes } = model.forget(symbols);
+    this._restoreCorpusContext(corpusKey, contextState);
+
+    return {
+      removedNodes,
+      removedBigrams: this._forgetBigramsFromText(text, corpusKey)
+    };
   }
 
   /**
    * Add a new training corpus with a unique key.
-   * Creates a new PPM model trained on the provided text.
+   * Creates a new PPM model trained on the provided text and learns the
+   * corpus's word pairs (bigrams) for next-word prediction.
    *
    * @param {string} corpusKey Unique identifier for this corpus (e.g., 'medical', 'personal', 'french')
    * @param {string} text Training text for this corpus
@@ -181,6 +372,7 @@ class Predictor {
    * @param {string} options.description Human-readable description of the corpus
    * @param {boolean} options.enabled Whether this corpus should be active (default: true)
    * @param {Array<string>} options.lexicon Optional word list specific to this corpus (e.g., French words for French corpus)
+   * @param {number} options.weight Weight of this corpus in the mixture of active corpora (default: 1)
    *
    * @example
    * // Add medical terminology corpus with medical lexicon
@@ -204,6 +396,9 @@ class Predictor {
       throw new Error('text must be a non-empty string');
     }
 
+    const weight = options.weight !== undefined ? options.weight : 1;
+    this._validateCorpusWeight(weight);
+
     // Create new PPM model for this corpus
     const corpusModel = new ppm.PPMLanguageModel(
       this.vocab,
@@ -220,19 +415,35 @@ class Predictor {
       corpusModel.addSymbolAndUpdate(context, symbolId);
     }
 
+    // A corpus replacing the current one becomes current itself.
+    if (this._corpora[corpusKey] && this._corpora[corpusKey].model === this.model) {
+      this.model = corpusModel;
+    }
+
     // Store the corpus with its own lexicon
     this._corpora[corpusKey] = {
       model: corpusModel,
       enabled: options.enabled !== undefined ? options.enabled : true,
+      weight,
+      posterior: weight,
+      context: null,
       description: options.description || `Training corpus: ${corpusKey}`,
       lexicon: options.lexicon || [],
       lexiconIndex: null,
       lexiconTree: null,
-      lexiconTrie: null
+      lexiconTrie: null,
+      bigrams: new Map(),
+      totalBigrams: 0
     };
 
     // Build lexicon structures for this corpus
     this._buildCorpusLexicon(corpusKey);
+    // Updates learned by a corpus this one replaces cannot be rolled back.
+    this._invalidateContextHistory(corpusKey);
+    this._rebuildCorpusContexts([corpusKey]);
+
+    // Learn the word pairs of the corpus for next-word prediction
+    this._learnBigramsFromText(text, corpusKey);
 
     // Add to active corpora if enabled
     if (this._corpora[corpusKey].enabled && !this._activeCorpora.includes(corpusKey)) {
@@ -278,10 +489,10 @@ class Predictor {
 
     // Update default model reference if 'default' is active
     if (keys.includes('default')) {
-      this.model = this._corpora['default'].model;
+      this._setCurrentCorpus('default');
     } else if (keys.length > 0) {
       // Point to first active corpus
-      this.model = this._corpora[keys[0]].model;
+      this._setCurrentCorpus(keys[0]);
     }
   }
 
@@ -319,7 +530,7 @@ class Predictor {
    * Get information about a specific corpus.
    *
    * @param {string} corpusKey Corpus identifier
-   * @return {Object} Corpus information (description, enabled status)
+   * @return {Object} Corpus information (description, enabled status, weight)
    *
    * @example
    * const info = predictor.getCorpusInfo('medical');
@@ -334,10 +545,128 @@ class Predictor {
     return {
       key: corpusKey,
       description: this._corpora[corpusKey].description,
-      enabled: this._corpora[corpusKey].enabled
+      enabled: this._corpora[corpusKey].enabled,
+      weight: this._corpora[corpusKey].weight
     };
   }
 
+  /**
+   * Set the mixture weights of training corpora.
+   * The predictions of the active corpora are mixed in proportion to their
+   * weights, so a small personal corpus can count for less (or more) than a
+   * large base corpus. Corpora not listed keep their weight. With
+   * adaptiveCorpusWeights, the adaptation starts again from the new weights.
+   *
+   * @param {Object<string, number>} weights Positive weight for each corpus key
+   *
+   * @example
+   * // Base corpus 4 times as likely as the personal corpus
+   * predictor.setCorpusWeights({ default: 0.8, personal: 0.2 });
+   */
+  setCorpusWeights(weights) {
+    if (!weights || typeof weights !== 'object') {
+      throw new Error('weights must be an object mapping corpus keys to weights');
+    }
+
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!this._corpora[key]) {
+        throw new Error(`Corpus '${key}' does not exist`);
+      }
+      this._validateCorpusWeight(weight);
+    }
+
+    for (const [key, weight] of Object.entries(weights)) {
+      this._corpora[key].weight = weight;
+    }
+    for (const corpus of Object.values(this._corpora)) {
+      corpus.posterior = corpus.weight;
+    }
+  }
+
+  /**
+   * Get the current mixture weights of the active corpora.
+   * These are the weights set with addTrainingCorpus() or setCorpusWeights(),
+   * or with adaptiveCorpusWeights the posterior weights learned from the text
+   * added to the context, normalized to add up to one.
+   *
+   * @return {Object<string, number>} Weight of each active corpus
+   *
+   * @example
+   * const predictor = createPredictor({ adaptiveCorpusWeights: true });
+   * predictor.addTrainingCorpus('medical', medicalText);
+   * predictor.addToContext('the patient was given 5 mg of ');
+   * predictor.getCorpusWeights(); // { default: 0.2, medical: 0.8 }
+   */
+  getCorpusWeights() {
+    const { weights } = this._corpusMixture();
+    const result = {};
+    this._activeCorpora.forEach((key, k) => {
+      result[key] = weights[k];
+    });
+    return result;
+  }
+
+  /**
+   * Update the posterior weights of the active corpora with the probability
+   * each corpus model gave to the next character of the context.
+   *
+   * This is Bayesian model averaging with forgetting (Raftery, Karny and
+   * Ettler, 2010, "Online prediction under model uncertainty via dynamic
+   * model averaging"): the posterior is flattened towards the configured
+   * weights by raising it to the forgetting factor, then multiplied by the
+   * predictive probabilities and normalized, so that the corpus that explains
+   * the recent text best gains weight.
+   *
+   * @param {number} symbolId Next symbol of the context.
+   * @private
+   */
+  _updateCorpusPosterior(symbolId) {
+    const corpora = this._activeCorpora.map(key => this._corpora[key]);
+    if (corpora.length < 2) {
+      return;
+    }
+    const forgetting = this.config.corpusForgettingFactor;
+    const priorTotal = corpora.reduce((sum, corpus) => sum + corpus.weight, 0);
+    const posteriorTotal = corpora.reduce((sum, corpus) => sum + corpus.posterior, 0);
+
+    const updated = corpora.map(corpus => {
+      const prior = corpus.weight / priorTotal;
+      const posterior = corpus.posterior / posteriorTotal;
+      return Math.pow(posterior, forgetting) * Math.pow(prior, 1 - forgetting) *
+        corpus.model.getProb(corpus.context, symbolId);
+    });
+    const total = updated.reduce((sum, value) => sum + value, 0);
+    if (!(total > 0)) {
+      return;
+    }
+    // Posteriors keep the total weight of the active corpora, so they stay
+    // comparable with the weights of inactive ones.
+    corpora.forEach((corpus, k) => {
+      corpus.posterior = priorTotal * Math.max(updated[k] / total, minCorpusPosterior);
+    });
+  }
+
+  /**
+   * Check a corpus mixture weight.
+   * @param {number} weight Weight to check.
+   * @private
+   */
+  _validateCorpusWeight(weight) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      throw new Error('weight must be a positive number');
+    }
+  }
+
+  /**
+   * Find the corpus a model belongs to.
+   * @param {ppm.PPMLanguageModel} model Corpus model.
+   * @return {string} Corpus key.
+   * @private
+   */
+  _getModelCorpus(model) {
+    return Object.keys(this._corpora).find(key => this._corpora[key].model === model);
+  }
+
   /**
    * Remove a training corpus.
    *
@@ -355,19 +684,39 @@ class Predictor {
       throw new Error(`Corpus '${corpusKey}' does not exist`);
     }
 
+    const isCurrent = this._corpora[corpusKey].model === this.model;
     delete this._corpora[corpusKey];
     this._activeCorpora = this._activeCorpora.filter(key => key !== corpusKey);
+    // A corpus added later under the same key must not roll back its updates.
+    this._invalidateContextHistory(corpusKey);
+    if (isCurrent) {
+      this._setCurrentCorpus('default');
+    }
   }
 
   /**
-   * Reset the prediction context.
+   * Make a corpus model the current model, with its live context.
+   * @param {string} corpusKey Corpus identifier.
+   * @private
+   */
+  _setCurrentCorpus(corpusKey) {
+    this.model = this._corpora[corpusKey].model;
+    this.context = this._corpora[corpusKey].context;
+  }
+
+  /**
+   * Reset the prediction context of every corpus.
    */
   resetContext() {
-    this.context = this.model.createContext();
+    this._contextHistory = [];
+    this._rebuildCorpusContexts();
   }
 
   /**
    * Add text to the current context.
+   * The live context of every corpus is advanced, so that predictions from
+   * any set of active corpora reflect the text. Only the current model is
+   * updated in adaptive mode.
    * @param {string} text Text to add to context.
    * @param {boolean} update Whether to update the model (adaptive mode).
    */
@@ -377,6 +726,7 @@ class Predictor {
     }
 
     const shouldUpdate = update !== null ? update : this.config.adaptive;
+    const currentKey = this._getModelCorpus(this.model);
     const chars = tokenizer.toCharArray(text);
 
     for (const char of chars) {
@@ -384,13 +734,186 @@ class Predictor {
       if (symbolId < 0) {
         symbolId = this.vocab.addSymbol(char);
       }
+      if (this.config.adaptiveCorpusWeights) {
+        this._updateCorpusPosterior(symbolId);
+      }
+
+      const contexts = {};
+      for (const [key, corpus] of Object.entries(this._corpora)) {
+        contexts[key] = corpus.model.cloneContext(corpus.context);
+      }
+      this._contextHistory.push({
+        char,
+        contexts,
+        learned: shouldUpdate ? currentKey : null
+      });
+      this._trimContextHistory();
+
+      for (const [key, corpus] of Object.entries(this._corpora)) {
+        if (shouldUpdate && key === currentKey) {
+          const evictedNodes = corpus.model.getStats().evictedNodes;
+          corpus.model.addSymbolAndUpdate(corpus.context, symbolId);
+          if (corpus.model.getStats().evictedNodes > evictedNodes) {
+            // Eviction keeps the current context but not the earlier ones.
+            this._invalidateContextHistory(key);
+          }
+        } else {
+          corpus.model.addSymbolToContext(corpus.context, symbolId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete characters from the end of the context, as a backspace would.
+   * The context returns to its state before those characters were added.
+   *
+   * @param {number} n Number of characters to delete (default: 1). Deleting
+   *   more characters than the context holds empties it.
+   * @param {Object} options Deletion options
+   * @param {boolean} options.rollback Also undo the adaptive model updates made
+   *   for the deleted characters (default: config.adaptiveRollback)
+   * @return {string} The deleted text.
+   *
+   * @example
+   * predictor.addToContext('I want tea');
+   * predictor.deleteFromContext(3); // 'tea'
+   * predictor.addToContext('coffee');
+   */
+  deleteFromContext(n = 1, options = {}) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error('n must be a non-negative integer');
+    }
+    const rollback = options.rollback !== undefined ?
+      options.rollback : this.config.adaptiveRollback;
+    const deleted = this._contextHistory.splice(
+      Math.max(0, this._contextHistory.length - n));
+    if (deleted.length === 0) {
+      return '';
+    }
+
+    // Undo the updates from the last character back, so that each one is
+    // the most recently learned when it is forgotten.
+    if (rollback) {
+      for (let i = deleted.length - 1; i >= 0; i--) {
+        const { char, contexts, learned } = deleted[i];
+        if (learned !== null && this._corpora[learned]) {
+          this._corpora[learned].model.forget([this.vocab.getSymbol(char)],
+            { context: contexts[learned] });
+        }
+      }
+    }
 
-      if (shouldUpdate) {
-        this.model.addSymbolAndUpdate(this.context, symbolId);
+    // Where the trie changed since, replay the remaining text instead.
+    const replay = [];
+    for (const [key, corpus] of Object.entries(this._corpora)) {
+      if (deleted[0].contexts[key]) {
+        corpus.context = deleted[0].contexts[key];
       } else {
-        this.model.addSymbolToContext(this.context, symbolId);
+        replay.push(key);
       }
     }
+    this._rebuildCorpusContexts(replay);
+    return tokenizer.fromCharArray(deleted.map(entry => entry.char));
+  }
+
+  /**
+   * Set the context to the given text, such as the contents of a text field
+   * after an edit. Only the part after the common prefix with the current
+   * context is deleted and added, so the model is not replayed on every
+   * keystroke.
+   *
+   * @param {string} text New context text.
+   * @param {Object} options Update options
+   * @param {boolean} options.update Whether to update the model with the added
+   *   characters (default: config.adaptive)
+   * @param {boolean} options.rollback Undo the adaptive model updates of the
+   *   deleted characters (default: config.adaptiveRollback)
+   *
+   * @example
+   * predictor.setContext('I want tea');
+   * predictor.setContext('I want to'); // Deletes 'ea', adds 'o'
+   */
+  setContext(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('text must be a string');
+    }
+    const chars = tokenizer.toCharArray(text);
+    const history = this._contextHistory;
+    let common = 0;
+    while (common < chars.length && common < history.length &&
+      chars[common] === history[common].char) {
+      common++;
+    }
+    this.deleteFromContext(history.length - common, { rollback: options.rollback });
+    this.addToContext(tokenizer.fromCharArray(chars.slice(common)),
+      options.update !== undefined ? options.update : null);
+  }
+
+  /**
+   * Drop the saved contexts and rollback markers of the characters older than
+   * the rollback depth. Deleting them replays the context text instead.
+   * @private
+   */
+  _trimContextHistory() {
+    const history = this._contextHistory;
+    for (let i = history.length - this.config.rollbackDepth - 1; i >= 0; i--) {
+      if (Object.keys(history[i].contexts).length === 0) {
+        break;
+      }
+      history[i].contexts = {};
+      history[i].learned = null;
+    }
+  }
+
+  /**
+   * Forget the contexts of a corpus saved for deleting characters after its
+   * trie has changed under them. Deleting then replays the remaining text,
+   * and the updates of the earlier characters can no longer be rolled back.
+   * @param {string} corpusKey Corpus whose trie changed.
+   * @private
+   */
+  _invalidateContextHistory(corpusKey) {
+    for (const entry of this._contextHistory) {
+      entry.contexts[corpusKey] = null;
+      if (entry.learned === corpusKey) {
+        entry.learned = null;
+      }
+    }
+  }
+
+  /**
+   * Restore the live context of a corpus exported before its trie changed.
+   * @param {string} corpusKey Corpus whose trie changed.
+   * @param {Object} contextState State from PPMLanguageModel.exportContext().
+   * @private
+   */
+  _restoreCorpusContext(corpusKey, contextState) {
+    const corpus = this._corpora[corpusKey];
+    corpus.context = corpus.model.importContext(contextState);
+    this._invalidateContextHistory(corpusKey);
+    this._setCurrentCorpus(this._getModelCorpus(this.model));
+  }
+
+  /**
+   * Rebuild the live contexts of corpora by replaying the context text,
+   * saving the contexts again for the next deletions.
+   * @param {string[]} keys Corpora to rebuild (default: all).
+   * @private
+   */
+  _rebuildCorpusContexts(keys = Object.keys(this._corpora)) {
+    const firstSaved = this._contextHistory.length - this.config.rollbackDepth;
+    for (const key of keys) {
+      const corpus = this._corpora[key];
+      corpus.context = corpus.model.createContext();
+      this._contextHistory.forEach((entry, i) => {
+        if (i >= firstSaved) {
+          entry.contexts[key] = corpus.model.cloneContext(corpus.context);
+        }
+        corpus.model.addSymbolToContext(corpus.context, this.vocab.getSymbol(entry.char));
+      });
+    }
+    this._setCurrentCorpus(this._getModelCorpus(this.model));
   }
 
   /**
@@ -398,25 +921,54 @@ class Predictor {
    * Merges predictions from all active training corpora.
    *
    * @param {string} context Optional context string (uses current context if not provided).
+   * @param {Object} options Prediction options.
+   * @param {string|Array<string>} options.allowedCharacters Only predict these characters,
+   *     e.g. the keys shown on a restricted keyboard. Probabilities are renormalized to
+   *     add up to 1 over them.
    * @return {Array<Prediction>} Array of character predictions.
+   *
+   * @example
+   * // Letters and space only
+   * predictor.predictNextCharacter(null, { allowedCharacters: 'abcdefghijklmnopqrstuvwxyz ' });
    */
-  predictNextCharacter(context = null) {
+  predictNextCharacter(context = null, options = {}) {
+    const probsOptions = {};
+    if (options.allowedCharacters !== undefined) {
+      probsOptions.allowedSymbols = this._getAllowedSymbols(options.allowedCharacters);
+    }
+
     // If only one corpus is active, use fast path
     if (this._activeCorpora.length === 1) {
-      return this._predictFromSingleCorpus(this._activeCorpora[0], context);
+      return this._predictFromSingleCorpus(this._activeCorpora[0], context, probsOptions);
     }
 
     // Merge predictions from all active corpora
-    return this._predictFromMultipleCorpora(context);
+    return this._predictFromMultipleCorpora(context, probsOptions);
+  }
+
+  /**
+   * Converts allowed characters into vocabulary symbols, adding unknown ones.
+   * @param {string|Array<string>} allowedCharacters Allowed characters.
+   * @return {Array<number>} Unique symbol IDs.
+   * @private
+   */
+  _getAllowedSymbols(allowedCharacters) {
+    const chars = typeof allowedCharacters === 'string' ?
+      tokenizer.toCharArray(allowedCharacters) : allowedCharacters;
+    if (!Array.isArray(chars) || chars.length === 0 ||
+      chars.some(char => typeof char !== 'string' || tokenizer.toCharArray(char).length !== 1)) {
+      throw new Error('allowedCharacters must be a non-empty string or array of characters');
+    }
+    return [...new Set(chars.map(char => this.vocab.addSymbol(char)))];
   }
 
   /**
    * Get predictions from a single corpus (fast path).
    * @private
    */
-  _predictFromSingleCorpus(corpusKey, context = null) {
+  _predictFromSingleCorpus(corpusKey, context = null, probsOptions = {}) {
     const corpus = this._corpora[corpusKey];
-    let workingContext = corpusKey === 'default' ? this.context : corpus.model.createContext();
+    let workingContext = corpus.context;
 
     if (context !== null) {
       workingContext = corpus.model.createContext();
@@ -431,7 +983,7 @@ class Predictor {
     }
 
     // Get probabilities from PPM model
-    const probs = corpus.model.getProbs(workingContext);
+    const probs = corpus.model.getProbs(workingContext, probsOptions);
 
     // Convert to predictions array
     const predictions = [];
@@ -453,19 +1005,22 @@ class Predictor {
 
   /**
    * Get predictions from multiple corpora and merge them.
-   * Averages probabilities across all active corpora.
+   * Mixes the distributions of the active corpora by their weights.
    * @private
    */
-  _predictFromMultipleCorpora(context = null) {
-    const allPredictions = new Map(); // char -> { totalProb, count }
+  _predictFromMultipleCorpora(context = null, probsOptions = {}) {
+    const mix = this._corpusMixture();
+    // Building the contexts may add symbols, so the array grows as needed.
+    const mixture = [];
 
     // Collect predictions from each active corpus
-    for (const corpusKey of this._activeCorpora) {
+    this._activeCorpora.forEach((corpusKey, k) => {
       const corpus = this._corpora[corpusKey];
-      let workingContext = corpus.model.createContext();
+      let workingContext = corpus.context;
 
       // Build context if provided
       if (context !== null) {
+        workingContext = corpus.model.createContext();
         const chars = tokenizer.toCharArray(context);
         for (const char of chars) {
           let symbolId = this.vocab.getSymbol(char);
@@ -474,35 +1029,26 @@ class Predictor {
           }
           corpus.model.addSymbolToContext(workingContext, symbolId);
         }
-      } else if (corpusKey === 'default') {
-        // Use current context for default corpus
-        workingContext = this.context;
       }
 
       // Get probabilities from this corpus
-      const probs = corpus.model.getProbs(workingContext);
+      const probs = corpus.model.getProbs(workingContext, probsOptions);
 
-      // Accumulate probabilities
+      // Accumulate weighted probabilities
       for (let i = 1; i < probs.length; i++) {
-        if (probs[i] > 0) {
-          const char = this.vocab.symbols_[i];
-          if (!allPredictions.has(char)) {
-            allPredictions.set(char, { totalProb: 0, count: 0 });
-          }
-          const entry = allPredictions.get(char);
-          entry.totalProb += probs[i];
-          entry.count++;
-        }
+        mixture[i] = (mixture[i] || 0) + mix.weights[k] * probs[i];
       }
-    }
+    });
 
-    // Average probabilities and create predictions array
+    // Create predictions array
     const predictions = [];
-    for (const [char, data] of allPredictions.entries()) {
-      predictions.push({
-        text: char,
-        probability: data.totalProb / data.count // Average across corpora
-      });
+    for (let i = 1; i < mixture.length; i++) {
+      if (mixture[i] > 0) {
+        predictions.push({
+          text: this.vocab.symbols_[i],
+          probability: mixture[i]
+        });
+      }
     }
 
     // Sort by probability (descending)
@@ -608,7 +1154,8 @@ class Predictor {
   }
 
   /**
-   * Predict word completions using character-level model.
+   * Predict word completions using the character-level models of the active
+   * corpora, mixed by their weights.
    * @param {string} partialWord Partial word.
    * @param {string} precedingContext Preceding context.
    * @return {Array<Prediction>} Array of word predictions.
@@ -620,19 +1167,21 @@ class Predictor {
 
     // Create a context with the preceding text and partial word
     const fullContext = precedingContext + partialWord;
-    const workingContext = this.model.createContext();
+    const mix = this._corpusMixture();
+    const contexts = mix.models.map(model => model.createContext());
 
     const chars = tokenizer.toCharArray(fullContext);
     for (const char of chars) {
       let symbolId = this.vocab.getSymbol(char);
       if (symbolId >= 0) {
-        this.model.addSymbolToContext(workingContext, symbolId);
+        mix.models.forEach((model, k) => model.addSymbolToContext(contexts[k], symbolId));
       }
     }
 
     // Generate completions by predicting next characters
     const completions = this._generateCompletions(
-      workingContext,
+      mix,
+      contexts,
       partialWord,
       maxLength - partialWord.length,
       5 // Generate top 5 completions
@@ -650,39 +1199,33 @@ class Predictor {
 
   /**
    * Generate word completions by predicting next characters.
-   * @param {Object} context PPM context.
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
    * @param {string} prefix Current prefix.
    * @param {number} maxChars Maximum characters to add.
    * @param {number} numCompletions Number of completions to generate.
    * @return {Array<Prediction>} Generated completions.
    * @private
    */
-  _generateCompletions(context, prefix, maxChars, numCompletions) {
+  _generateCompletions(mix, contexts, prefix, maxChars, numCompletions) {
     const completions = [];
     const spaceId = this.vocab.getSymbol(' ');
+    const cloneContexts = base => base.map((context, k) => mix.models[k].cloneContext(context));
 
     // Simple beam search
-    let beams = [{ context: this.model.cloneContext(context), text: prefix, prob: 1.0 }];
+    let beams = [{ contexts: cloneContexts(contexts), text: prefix, prob: 1.0 }];
 
     for (let i = 0; i < maxChars; i++) {
       const newBeams = [];
 
       for (const beam of beams) {
-        const probs = this.model.getProbs(beam.context);
-        const topChars = [];
-
         // Get top characters
-        for (let j = 1; j < probs.length; j++) {
-          if (probs[j] > 0) {
-            topChars.push({ id: j, prob: probs[j] });
-          }
-        }
-
-        topChars.sort((a, b) => b.prob - a.prob);
+        const topChars = this._mixtureTopK(mix, beam.contexts, 3)
+          .filter(entry => entry.probability > 0);
 
         // Expand beam with top characters
-        for (let k = 0; k < Math.min(3, topChars.length); k++) {
-          const charId = topChars[k].id;
+        for (let k = 0; k < topChars.length; k++) {
+          const charId = topChars[k].symbol;
           const char = this.vocab.symbols_[charId];
 
           // Stop at space or newline
@@ -693,13 +1236,13 @@ class Predictor {
             continue;
           }
 
-          const newContext = this.model.cloneContext(beam.context);
-          this.model.addSymbolToContext(newContext, charId);
+          const newContexts = cloneContexts(beam.contexts);
+          mix.models.forEach((model, m) => model.addSymbolToContext(newContexts[m], charId));
 
           newBeams.push({
-            context: newContext,
+            contexts: newContexts,
             text: beam.text + char,
-            prob: beam.prob * topChars[k].prob
+            prob: beam.prob * topChars[k].probability
           });
         }
       }
@@ -779,7 +1322,7 @@ class Predictor {
   }
 
   /**
-   * Score a word using the PPM model.
+   * Score a word using the weighted mixture of the active corpus models.
    * @param {string} word Word to score.
    * @param {string} precedingContext Preceding context.
    * @return {number} Score (probability).
@@ -787,7 +1330,8 @@ class Predictor {
    */
   _scoreWord(word, precedingContext) {
     const fullText = precedingContext + word;
-    const workingContext = this.model.createContext();
+    const mix = this._corpusMixture();
+    const contexts = mix.models.map(model => model.createContext());
 
     let logProb = 0;
     const chars = tokenizer.toCharArray(fullText);
@@ -795,10 +1339,12 @@ class Predictor {
     for (const char of chars) {
       const symbolId = this.vocab.getSymbol(char);
       if (symbolId >= 0) {
-        const probs = this.model.getProbs(workingContext);
-        const prob = probs[symbolId] || 1e-10;
-        logProb += Math.log(prob);
-        this.model.addSymbolToContext(workingContext, symbolId);
+        let prob = 0;
+        mix.models.forEach((model, k) => {
+          prob += mix.weights[k] * model.getProb(contexts[k], symbolId);
+          model.addSymbolToContext(contexts[k], symbolId);
+        });
+        logProb += Math.log(prob || 1e-10);
       }
     }
 
@@ -811,15 +1357,60 @@ class Predictor {
    * Extracts word pairs and tracks their frequencies for next-word prediction.
    *
    * @param {string} text Training text to learn bigrams from.
+   * @param {string} corpusKey Corpus to store the bigrams in (default: 'default').
    * @private
    *
    * @example
    * // Internal use: learns "quick brown", "brown fox", etc.
    * this._learnBigramsFromText('The quick brown fox');
    */
-  _learnBigramsFromText(text) {
+  _learnBigramsFromText(text, corpusKey = 'default') {
+    const corpus = this._corpora[corpusKey];
+    for (const bigramKey of this._extractBigrams(text)) {
+      // Increment frequency count
+      const currentCount = corpus.bigrams.get(bigramKey) || 0;
+      corpus.bigrams.set(bigramKey, currentCount + 1);
+      corpus.totalBigrams++;
+    }
+  }
+
+  /**
+   * Remove the bigrams of a text learned by _learnBigramsFromText().
+   *
+   * @param {string} text Text to forget bigrams from.
+   * @param {string} corpusKey Corpus to remove the bigrams from (default: 'default').
+   * @return {number} Number of bigram occurrences removed.
+   * @private
+   */
+  _forgetBigramsFromText(text, corpusKey = 'default') {
+    const corpus = this._corpora[corpusKey];
+    let removed = 0;
+    for (const bigramKey of this._extractBigrams(text)) {
+      const currentCount = corpus.bigrams.get(bigramKey) || 0;
+      if (currentCount === 0) {
+        continue;
+      }
+      if (currentCount === 1) {
+        corpus.bigrams.delete(bigramKey);
+      } else {
+        corpus.bigrams.set(bigramKey, currentCount - 1);
+      }
+      corpus.totalBigrams--;
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Extract the bigram keys ("word1 word2") of consecutive words in a text.
+   *
+   * @param {string} text Text to extract bigrams from.
+   * @return {string[]} Bigram keys in text order.
+   * @private
+   */
+  _extractBigrams(text) {
     if (!text || typeof text !== 'string') {
-      return;
+      return [];
     }
 
     // Tokenize text into words (splits on whitespace)
@@ -830,7 +1421,7 @@ class Predictor {
       this.config.caseSensitive ? word : word.toLowerCase()
     );
 
-    // Learn bigrams (consecutive word pairs)
+    const bigrams = [];
     for (let i = 0; i < normalizedWords.length - 1; i++) {
       const word1 = normalizedWords[i];
       const word2 = normalizedWords[i + 1];
@@ -841,18 +1432,16 @@ class Predictor {
       }
 
       // Create bigram key "word1 word2"
-      const bigramKey = `${word1} ${word2}`;
-
-      // Increment frequency count
-      const currentCount = this._bigrams.get(bigramKey) || 0;
-      this._bigrams.set(bigramKey, currentCount + 1);
-      this._totalBigrams++;
+      bigrams.push(`${word1} ${word2}`);
     }
+    return bigrams;
   }
 
   /**
    * Predict next word based on bigram frequencies.
-   * Uses learned word-pair patterns to suggest likely next words.
+   * Uses learned word-pair patterns to suggest likely next words. With
+   * several active corpora, the next-word distributions of the corpora that
+   * have seen the current word are mixed by their weights.
    *
    * @param {string} currentWord The current/last word typed.
    * @param {number} maxPredictions Maximum number of predictions to return (default: 10).
@@ -883,25 +1472,39 @@ class Predictor {
     // Normalize the current word
     const normalized = this.config.caseSensitive ? currentWord : currentWord.toLowerCase();
 
-    // Find all bigrams starting with this word
-    const nextWordCounts = new Map();
-    let totalCount = 0;
+    const mix = this._corpusMixture();
+    const nextWordProbs = new Map();
+    let totalWeight = 0;
+
+    this._activeCorpora.forEach((corpusKey, k) => {
+      // Find all bigrams starting with this word
+      const nextWordCounts = new Map();
+      let totalCount = 0;
 
-    for (const [bigramKey, count] of this._bigrams.entries()) {
-      const [word1, word2] = bigramKey.split(' ');
+      for (const [bigramKey, count] of this._corpora[corpusKey].bigrams.entries()) {
+        const [word1, word2] = bigramKey.split(' ');
 
-      if (word1 === normalized) {
-        nextWordCounts.set(word2, (nextWordCounts.get(word2) || 0) + count);
-        totalCount += count;
+        if (word1 === normalized) {
+          nextWordCounts.set(word2, (nextWordCounts.get(word2) || 0) + count);
+          totalCount += count;
+        }
       }
-    }
 
-    // Convert counts to probabilities
+      // Add the corpus's weighted probabilities
+      if (totalCount > 0) {
+        totalWeight += mix.weights[k];
+        for (const [word, count] of nextWordCounts.entries()) {
+          nextWordProbs.set(word, (nextWordProbs.get(word) || 0) + mix.weights[k] * count / totalCount);
+        }
+      }
+    });
+
+    // Renormalize over the corpora that have seen the word
     const predictions = [];
-    for (const [word, count] of nextWordCounts.entries()) {
+    for (const [word, probability] of nextWordProbs.entries()) {
       predictions.push({
         text: word,
-        probability: count / totalCount
+        probability: probability / totalWeight
       });
     }
 
@@ -910,10 +1513,168 @@ class Predictor {
     return predictions.slice(0, maxPredictions);
   }
 
+  /**
+   * Predict at a cursor position, for editing in the middle of a text.
+   * The text before the cursor is the context, as for predictNextCharacter()
+   * and predictWordCompletion(), and the text after it re-ranks the
+   * candidates: each one is weighted by the probability of the following text
+   * after it, so that an inserted character or word fits the text around it.
+   *
+   * The most probable characters are scored together with the most probable
+   * completion of their word. Word candidates are those of
+   * predictWordCompletion() for the word before the cursor, or of
+   * predictNextWord() after a space. A word is taken to be followed by a space
+   * unless the text after the cursor starts with whitespace. The weighted
+   * scores are normalized to add up to one. At the end of the text no
+   * re-ranking takes place.
+   *
+   * @param {string} text Full text.
+   * @param {number} cursorIndex Cursor position from 0 to text.length, such as
+   *   a text field's selectionStart.
+   * @param {Object} options Prediction options
+   * @param {number} options.rightContextLength Number of characters after the
+   *   cursor used for re-ranking (default: 16)
+   * @return {Object} `partialWord` (the word before the cursor), `characters`
+   *   and `words` predictions.
+   *
+   * @example
+   * // Inserting a word: 'I | to the shop'
+   * const { words } = predictor.predictAt('I  to the shop', 2);
+   */
+  predictAt(text, cursorIndex, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('text must be a string');
+    }
+    if (!Number.isInteger(cursorIndex) || cursorIndex < 0 || cursorIndex > text.length) {
+      throw new Error('cursorIndex must be an integer from 0 to text.length');
+    }
+    const { rightContextLength = 16 } = options;
+    if (!Number.isInteger(rightContextLength) || rightContextLength < 0) {
+      throw new Error('rightContextLength must be a non-negative integer');
+    }
+
+    const left = text.slice(0, cursorIndex);
+    const right = tokenizer.fromCharArray(
+      tokenizer.toCharArray(text.slice(cursorIndex)).slice(0, rightContextLength));
+    const partialWord = tokenizer.getLastPartialWord(left);
+    const precedingContext = left.slice(0, left.length - partialWord.length);
+    const precedingWords = tokenizer.tokenize(precedingContext);
+
+    let words = partialWord ?
+      this.predictWordCompletion(partialWord, precedingContext) :
+      this.predictNextWord(precedingWords[precedingWords.length - 1], this.config.maxPredictions);
+    if (right.length === 0) {
+      return { partialWord, characters: this.predictNextCharacter(left), words };
+    }
+
+    const mix = this._corpusMixture();
+    const wordContexts = this._createContexts(mix, precedingContext);
+    const cloneContexts = base => base.map((context, k) => mix.models[k].cloneContext(context));
+    const contexts = cloneContexts(wordContexts);
+    this._advanceContexts(mix, contexts, partialWord);
+    const separator = tokenizer.isWhitespace(right[0]) ? '' : ' ';
+
+    // A character usually starts or continues a word rather than being
+    // followed by the text after the cursor, so the word is completed with
+    // its most probable characters before that text is scored.
+    const mixture = this._mixtureProbs(mix, contexts);
+    const pool = [];
+    for (let symbolId = 1; symbolId < mixture.length; symbolId++) {
+      if (mixture[symbolId] > 0) {
+        pool.push(symbolId);
+      }
+    }
+    pool.sort((a, b) => mixture[b] - mixture[a]);
+    const characters = pool.slice(0, this.config.maxPredictions * 3).map(symbolId => {
+      const char = this.vocab.symbols_[symbolId];
+      const candidateContexts = cloneContexts(contexts);
+      let logScore = this._scoreText(mix, candidateContexts, char);
+      if (tokenizer.isWhitespace(char)) {
+        logScore += this._scoreText(mix, candidateContexts, right);
+      } else {
+        logScore += this._completeWord(mix, candidateContexts);
+        logScore += this._scoreText(mix, candidateContexts, separator + right);
+      }
+      return { text: char, logScore };
+    });
+
+    // Word scores already account for the word itself.
+    words = words.map(prediction => {
+      const candidateContexts = cloneContexts(wordContexts);
+      this._advanceContexts(mix, candidateContexts, prediction.text);
+      return {
+        text: prediction.text,
+        logScore: Math.log(prediction.probability) +
+          this._scoreText(mix, candidateContexts, separator + right)
+      };
+    });
+
+    return {
+      partialWord,
+      characters: this._normalizeLogScores(characters).slice(0, this.config.maxPredictions),
+      words: this._normalizeLogScores(words)
+    };
+  }
+
+  /**
+   * Extend a word with its most probable characters, up to the next
+   * whitespace. The contexts are advanced past the added characters.
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @return {number} Log-probability of the added characters.
+   * @private
+   */
+  _completeWord(mix, contexts) {
+    const maxLength = 20; // Maximum number of characters to add
+    let logProb = 0;
+    for (let i = 0; i < maxLength; i++) {
+      const mixture = this._mixtureProbs(mix, contexts);
+      let best = 1;
+      for (let symbolId = 2; symbolId < mixture.length; symbolId++) {
+        if (mixture[symbolId] > mixture[best]) {
+          best = symbolId;
+        }
+      }
+      if (tokenizer.isWhitespace(this.vocab.symbols_[best])) {
+        break;
+      }
+      logProb += Math.log(mixture[best]);
+      mix.models.forEach((model, k) => model.addSymbolToContext(contexts[k], best));
+    }
+    return logProb;
+  }
+
+  /**
+   * Turn log-scores into probabilities that add up to one, most probable
+   * first.
+   * @param {Array<Object>} candidates Candidates with `text` and `logScore`.
+   * @return {Array<Prediction>} Predictions.
+   * @private
+   */
+  _normalizeLogScores(candidates) {
+    const maxLogScore = Math.max(...candidates.map(candidate => candidate.logScore));
+    if (!Number.isFinite(maxLogScore)) {
+      return candidates.map(({ text }) => ({ text, probability: 0 }));
+    }
+    let total = 0;
+    const predictions = candidates.map(({ text, logScore }) => {
+      const weight = Math.exp(logScore - maxLogScore);
+      total += weight;
+      return { text, probability: weight };
+    });
+    for (const prediction of predictions) {
+      prediction.probability /= total;
+    }
+    predictions.sort((a, b) => b.probability - a.probability);
+    return predictions;
+  }
+
   /**
    * Export learned bigrams as text.
    * Returns bigrams in a simple text format that can be saved and re-imported.
    *
+   * @param {Object} options Optional configuration
+   * @param {string} options.corpus Corpus to export the bigrams of (default: 'default')
    * @return {string} Bigrams in text format (one per line: "word1 word2 count").
    *
    * @example
@@ -924,10 +1685,10 @@ class Predictor {
    * // "hello world 3\n"
    * // ...
    */
-  exportBigrams() {
+  exportBigrams(options = {}) {
     const lines = [];
 
-    for (const [bigramKey, count] of this._bigrams.entries()) {
+    for (const [bigramKey, count] of this._getBigramCorpus(options).bigrams.entries()) {
       lines.push(`${bigramKey} ${count}`);
     }
 
@@ -940,12 +1701,15 @@ class Predictor {
    * This adds to existing bigrams rather than replacing them.
    *
    * @param {string} bigramText Bigrams in text format.
+   * @param {Object} options Optional configuration
+   * @param {string} options.corpus Corpus to add the bigrams to (default: 'default')
    *
    * @example
    * const bigramText = "quick brown 5\nbrown fox 5\nhello world 3";
    * predictor.importBigrams(bigramText);
    */
-  importBigrams(bigramText) {
+  importBigrams(bigramText, options = {}) {
+    const corpus = this._getBigramCorpus(options);
     if (!bigramText || typeof bigramText !== 'string') {
       return;
     }
@@ -974,22 +1738,24 @@ class Predictor {
       const bigramKey = parts.slice(0, parts.length - 1).join(' ');
 
       // Add to bigrams
-      const currentCount = this._bigrams.get(bigramKey) || 0;
-      this._bigrams.set(bigramKey, currentCount + count);
-      this._totalBigrams += count;
+      const currentCount = corpus.bigrams.get(bigramKey) || 0;
+      corpus.bigrams.set(bigramKey, currentCount + count);
+      corpus.totalBigrams += count;
     }
   }
 
   /**
    * Clear all learned bigrams.
-   * Resets bigram tracking to initial state.
+   * Resets bigram tracking of every corpus to initial state.
    *
    * @example
    * predictor.clearBigrams();
    */
   clearBigrams() {
-    this._bigrams.clear();
-    this._totalBigrams = 0;
+    for (const corpus of Object.values(this._corpora)) {
+      corpus.bigrams.clear();
+      corpus.totalBigrams = 0;
+    }
     this._lastWord = null;
   }
 
@@ -997,6 +1763,8 @@ class Predictor {
    * Get bigram statistics.
    * Returns information about learned bigrams.
    *
+   * @param {Object} options Optional configuration
+   * @param {string} options.corpus Corpus to report on (default: 'default')
    * @return {Object} Bigram statistics.
    * @return {number} return.uniqueBigrams - Number of unique bigrams learned.
    * @return {number} return.totalBigrams - Total bigram occurrences.
@@ -1005,13 +1773,28 @@ class Predictor {
    * const stats = predictor.getBigramStats();
    * console.log(`Learned ${stats.uniqueBigrams} unique word pairs`);
    */
-  getBigramStats() {
+  getBigramStats(options = {}) {
+    const corpus = this._getBigramCorpus(options);
     return {
-      uniqueBigrams: this._bigrams.size,
-      totalBigrams: this._totalBigrams
+      uniqueBigrams: corpus.bigrams.size,
+      totalBigrams: corpus.totalBigrams
     };
   }
 
+  /**
+   * Find the corpus a bigram method works on.
+   * @param {Object} options Options with an optional `corpus` key.
+   * @return {Object} Corpus record (default: the 'default' corpus).
+   * @private
+   */
+  _getBigramCorpus(options) {
+    const corpusKey = options.corpus !== undefined ? options.corpus : 'default';
+    if (!this._corpora[corpusKey]) {
+      throw new Error(`Corpus '${corpusKey}' does not exist`);
+    }
+    return this._corpora[corpusKey];
+  }
+
   /**
    * Get PPM model statistics for each corpus.
    * Useful for observing memory usage when max node limits are set.
@@ -1028,6 +1811,561 @@ class Predictor {
     return stats;
   }
 
+  /**
+   * Get the PPM smoothing parameters used at every context depth, per corpus.
+   * With `ppmDynamicParameters` enabled these are the learned values.
+   *
+   * @return {Object<string, Object>} Map of corpus key to `{ alphas, betas }`.
+   */
+  getPPMParameters() {
+    const parameters = {};
+    for (const [key, corpus] of Object.entries(this._corpora)) {
+      parameters[key] = corpus.model.getDepthParameters();
+    }
+    return parameters;
+  }
+
+  /**
+   * Export the n-grams a corpus model has learned as a table.
+   *
+   * @param {Object} options Export options.
+   * @param {string} options.corpus Corpus to export (default: 'default').
+   * @param {string} options.format 'tsv' (default) or 'json'.
+   * @param {number} options.maxOrder Skip contexts longer than this.
+   * @param {number} options.minCount Skip n-grams with a lower count.
+   * @return {string} N-gram table with `order`, `context`, `symbol` and `count` columns.
+   *
+   * @example
+   * fs.writeFileSync('medical.tsv', predictor.exportNgrams({ corpus: 'medical', minCount: 2 }));
+   */
+  exportNgrams(options = {}) {
+    const { corpus: corpusKey = 'default', format = 'tsv', ...tableOptions } = options;
+    if (!this._corpora[corpusKey]) {
+      throw new Error(`Corpus '${corpusKey}' does not exist`);
+    }
+    const model = this._corpora[corpusKey].model;
+    if (format === 'tsv') {
+      return toNgramTSV(model, tableOptions);
+    }
+    if (format === 'json') {
+      return toNgramJSON(model, tableOptions);
+    }
+    throw new Error(`Unsupported n-gram format: ${format}`);
+  }
+
+  /**
+   * Summarize what each corpus model has learned: n-grams per context length,
+   * branching factor and most frequent contexts.
+   *
+   * @param {Object} options Summary options.
+   * @param {number} options.maxOrder Skip contexts longer than this.
+   * @param {number} options.topContexts Number of most frequent contexts to list (default: 10).
+   * @return {Object<string, Object>} Map of corpus key to summary.
+   */
+  getNgramSummary(options = {}) {
+    const summaries = {};
+    for (const [key, corpus] of Object.entries(this._corpora)) {
+      summaries[key] = summarizeNgrams(corpus.model, options);
+    }
+    return summaries;
+  }
+
+  /**
+   * Evaluate how well the character models predict a text.
+   * Every character is scored in the context of the characters preceding it
+   * (starting from an empty context), giving a numeric quality signal for
+   * comparing training sets and PPM settings. With several corpora their
+   * probabilities are mixed by corpus weight (see setCorpusWeights), as in
+   * predictNextCharacter().
+   *
+   * @param {string} text Text to evaluate.
+   * @param {Object} options Optional evaluation settings
+   * @param {string|string[]} options.corpora Corpus key(s) to evaluate (default: active corpora)
+   * @param {boolean} options.adaptive Update the models with every character, as
+   *   adaptive mode would (default: false). Copies of the models are updated, so
+   *   the predictor itself is not changed.
+   * @return {Object} Result with numCharacters, totalBits, bitsPerCharacter,
+   *   perplexity, logProbs (base-2 log-probability of every character) and the
+   *   same totals for each corpus under `corpora`.
+   *
+   * @example
+   * const result = predictor.evaluateText(heldOutText);
+   * console.log(result.bitsPerCharacter, result.perplexity);
+   */
+  evaluateText(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('text must be a string');
+    }
+
+    const keys = this._resolveCorpora(options.corpora, 'evaluation');
+    const { weights } = this._corpusMixture(keys);
+    const adaptive = options.adaptive === true;
+    const chars = tokenizer.toCharArray(text);
+
+    // Characters missing from the vocabulary get temporary IDs in a copy of
+    // it, used by copies of the models, so the predictor is not changed.
+    let vocabulary = this.vocab;
+    const hasUnknown = chars.some(char => this.vocab.getSymbol(char) < 0);
+    if (hasUnknown) {
+      vocabulary = new vocab.Vocabulary();
+      this.vocab.symbols_.slice(1).forEach(symbol => vocabulary.addSymbol(symbol));
+    }
+    const models = keys.map(key => {
+      const model = this._corpora[key].model;
+      return adaptive || hasUnknown ? this._cloneModel(model, vocabulary) : model;
+    });
+    const contexts = models.map(model => model.createContext());
+    const corpusBits = keys.map(() => 0);
+
+    const logProbs = new Array(chars.length);
+    let totalBits = 0;
+
+    chars.forEach((char, i) => {
+      const symbolId = vocabulary.addSymbol(char);
+      let mixture = 0;
+      models.forEach((model, k) => {
+        const probability = model.getProbs(contexts[k])[symbolId];
+        mixture += weights[k] * probability;
+        corpusBits[k] -= Math.log2(probability);
+
+        if (adaptive) {
+          model.addSymbolAndUpdate(contexts[k], symbolId);
+        } else {
+          model.addSymbolToContext(contexts[k], symbolId);
+        }
+      });
+
+      logProbs[i] = Math.log2(mixture);
+      totalBits -= logProbs[i];
+    });
+
+    const summarize = (bits) => {
+      const bitsPerCharacter = chars.length > 0 ? bits / chars.length : 0;
+      return {
+        totalBits: bits,
+        bitsPerCharacter,
+        perplexity: Math.pow(2, bitsPerCharacter)
+      };
+    };
+
+    const corpora = {};
+    keys.forEach((key, k) => {
+      corpora[key] = summarize(corpusBits[k]);
+    });
+
+    return {
+      numCharacters: chars.length,
+      ...summarize(totalBits),
+      logProbs,
+      corpora
+    };
+  }
+
+  /**
+   * Generate text by sampling characters from the character models.
+   * Every character is drawn from the distribution that getProbs() gives in
+   * the context of the prefix and the characters generated so far; with
+   * several corpora their probabilities are mixed by corpus weight (see
+   * setCorpusWeights), as in predictNextCharacter(). The models are not
+   * changed.
+   *
+   * @param {Object} options Generation settings
+   * @param {string} options.prefix Text to continue (default: '')
+   * @param {number} options.maxLength Maximum number of characters to generate (default: 100)
+   * @param {number} options.temperature Sharpens (< 1) or flattens (> 1) the distribution;
+   *   0 always picks the most probable character (default: 1)
+   * @param {number} options.topK Only sample from the k most probable characters (0 = all)
+   * @param {number} options.seed Integer seed; the same seed gives the same text
+   *   (default: random)
+   * @param {string|string[]} options.stopAt Stop once the generated text ends with one
+   *   of these strings, which is included in the result
+   * @param {string|string[]} options.corpora Corpus key(s) to sample from (default: active corpora)
+   * @return {string} Generated text, without the prefix.
+   *
+   * @example
+   * predictor.generate({ prefix: 'The patient ', seed: 7, stopAt: '.', corpora: 'medical' });
+   */
+  generate(options = {}) {
+    const {
+      prefix = '',
+      maxLength = 100,
+      temperature = 1,
+      topK = 0,
+      seed,
+      stopAt = []
+    } = options;
+    if (typeof prefix !== 'string') {
+      throw new Error('prefix must be a string');
+    }
+    if (!Number.isInteger(maxLength) || maxLength < 0) {
+      throw new Error('maxLength must be a non-negative integer');
+    }
+    if (typeof temperature !== 'number' || !(temperature >= 0)) {
+      throw new Error('temperature must be a non-negative number');
+    }
+    if (!Number.isInteger(topK) || topK < 0) {
+      throw new Error('topK must be a non-negative integer');
+    }
+    const stops = (Array.isArray(stopAt) ? stopAt : [stopAt]).filter(stop => stop.length > 0);
+    const keys = this._resolveCorpora(options.corpora, 'generation');
+    const random = createRandom(seed);
+
+    const mix = this._corpusMixture(keys);
+    const contexts = this._createContexts(mix, prefix);
+
+    let text = '';
+    for (let i = 0; i < maxLength; i++) {
+      const symbolId = this._sampleSymbol(mix, contexts, temperature, topK, random);
+      text += this.vocab.symbols_[symbolId];
+      mix.models.forEach((model, k) => model.addSymbolToContext(contexts[k], symbolId));
+      if (stops.some(stop => text.endsWith(stop))) {
+        break;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Draw the next symbol from the distribution of several models mixed by
+   * corpus weight (see setCorpusWeights).
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @param {number} temperature Sampling temperature (0 = most probable symbol).
+   * @param {number} topK Number of most probable symbols to keep (0 = all).
+   * @param {function(): number} random Random number generator.
+   * @return {number} Symbol ID.
+   * @private
+   */
+  _sampleSymbol(mix, contexts, temperature, topK, random) {
+    const mixture = this._mixtureProbs(mix, contexts);
+
+    // Most probable first, ties broken by symbol ID.
+    let candidates = [];
+    for (let i = 1; i < mixture.length; i++) {
+      if (mixture[i] > 0) {
+        candidates.push({ symbol: i, prob: mixture[i] });
+      }
+    }
+    candidates.sort((a, b) => b.prob - a.prob || a.symbol - b.symbol);
+    if (topK > 0) {
+      candidates = candidates.slice(0, topK);
+    }
+    if (temperature === 0 || candidates.length === 1) {
+      return candidates[0].symbol;
+    }
+
+    // p^(1/T), computed in the log domain relative to the most probable
+    // symbol so that low temperatures do not underflow.
+    const maxLogProb = Math.log(candidates[0].prob);
+    let total = 0;
+    for (const candidate of candidates) {
+      candidate.weight = Math.exp((Math.log(candidate.prob) - maxLogProb) / temperature);
+      total += candidate.weight;
+    }
+    let target = random() * total;
+    for (const candidate of candidates) {
+      target -= candidate.weight;
+      if (target < 0) {
+        return candidate.symbol;
+      }
+    }
+    return candidates[candidates.length - 1].symbol;
+  }
+
+  /**
+   * Collect the models of some corpora with their normalized mixture weights,
+   * the posterior weights with adaptiveCorpusWeights.
+   * @param {string[]} keys Corpus keys (default: active corpora).
+   * @return {{models: Array<ppm.PPMLanguageModel>, weights: Array<number>}} Mixture.
+   * @private
+   */
+  _corpusMixture(keys = this._activeCorpora) {
+    const adaptive = this.config.adaptiveCorpusWeights;
+    const weights = keys.map(key => adaptive ? this._corpora[key].posterior : this._corpora[key].weight);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return {
+      models: keys.map(key => this._corpora[key].model),
+      weights: weights.map(weight => weight / total)
+    };
+  }
+
+  /**
+   * Build a context for every model of a mixture from the given text.
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {string} text Context text.
+   * @return {Array<Object>} Context of every model.
+   * @private
+   */
+  _createContexts(mix, text) {
+    const contexts = mix.models.map(model => model.createContext());
+    this._advanceContexts(mix, contexts, text);
+    return contexts;
+  }
+
+  /**
+   * Advance the context of every model past the given text. Characters
+   * missing from the vocabulary are skipped.
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @param {string} text Text to add.
+   * @private
+   */
+  _advanceContexts(mix, contexts, text) {
+    for (const char of tokenizer.toCharArray(text)) {
+      const symbolId = this.vocab.getSymbol(char);
+      if (symbolId >= 0) {
+        mix.models.forEach((model, k) => model.addSymbolToContext(contexts[k], symbolId));
+      }
+    }
+  }
+
+  /**
+   * Mix the next-symbol distributions of several models by their weights.
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @return {Array<number>} Probabilities indexed by symbol ID.
+   * @private
+   */
+  _mixtureProbs(mix, contexts) {
+    const mixture = new Array(this.vocab.size()).fill(0);
+    mix.models.forEach((model, k) => {
+      const probs = model.getProbs(contexts[k]);
+      for (let i = 1; i < probs.length; i++) {
+        mixture[i] += mix.weights[k] * probs[i];
+      }
+    });
+    return mixture;
+  }
+
+  /**
+   * The k most probable symbols under a mixture of models, ties broken by
+   * symbol ID as in PPMLanguageModel.getTopK().
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @param {number} k Number of symbols.
+   * @return {Array<{symbol: number, probability: number}>} Most probable first.
+   * @private
+   */
+  _mixtureTopK(mix, contexts, k) {
+    if (mix.models.length === 1) {
+      return mix.models[0].getTopK(contexts[0], k);
+    }
+    const mixture = this._mixtureProbs(mix, contexts);
+    const top = [];
+    for (let symbol = 1; symbol < mixture.length; symbol++) {
+      top.push({ symbol, probability: mixture[symbol] });
+    }
+    top.sort((a, b) => b.probability - a.probability || a.symbol - b.symbol);
+    return top.slice(0, k);
+  }
+
+  /**
+   * Natural log-probability of a text under a mixture of models.
+   * The contexts are advanced past the text. Characters missing from the
+   * vocabulary are skipped, as in _scoreWord().
+   * @param {Object} mix Mixture from _corpusMixture().
+   * @param {Array<Object>} contexts Context of every model.
+   * @param {string} text Text to score.
+   * @return {number} Log-probability of the text.
+   * @private
+   */
+  _scoreText(mix, contexts, text) {
+    let logProb = 0;
+    for (const char of tokenizer.toCharArray(text)) {
+      const symbolId = this.vocab.getSymbol(char);
+      if (symbolId < 0) {
+        continue;
+      }
+      let prob = 0;
+      mix.models.forEach((model, k) => {
+        prob += mix.weights[k] * model.getProb(contexts[k], symbolId);
+        model.addSymbolToContext(contexts[k], symbolId);
+      });
+      logProb += Math.log(prob || 1e-10);
+    }
+    return logProb;
+  }
+
+  /**
+   * Resolve the corpora an operation works on.
+   * @param {string|string[]|undefined} corpora Corpus key(s), or undefined for the
+   *   active corpora.
+   * @param {string} purpose Operation name used in the error message.
+   * @return {string[]} Corpus keys.
+   * @private
+   */
+  _resolveCorpora(corpora, purpose) {
+    let keys = this._activeCorpora.slice();
+    if (corpora !== undefined) {
+      keys = Array.isArray(corpora) ? corpora : [corpora];
+    }
+    if (keys.length === 0) {
+      throw new Error(`At least one corpus is required for ${purpose}`);
+    }
+    for (const key of keys) {
+      if (!this._corpora[key]) {
+        throw new Error(`Corpus '${key}' does not exist`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Capture the complete predictor state as a JSON-compatible snapshot.
+   * Includes the configuration, shared vocabulary, every corpus (PPM model,
+   * description, enabled flag and lexicon), the active corpora, learned
+   * bigrams and the live context, so everything learned in adaptive mode
+   * survives an app restart. Called automatically by JSON.stringify().
+   *
+   * @return {Object} Snapshot object (restore with Predictor.fromSnapshot()).
+   *
+   * @example
+   * localStorage.setItem('predictor', JSON.stringify(predictor));
+   * // ...after restart
+   * const restored = Predictor.fromSnapshot(localStorage.getItem('predictor'));
+   */
+  toJSON() {
+    const corpora = {};
+    let contextCorpus = null;
+    for (const [key, corpus] of Object.entries(this._corpora)) {
+      corpora[key] = {
+        description: corpus.description,
+        enabled: corpus.enabled,
+        weight: corpus.weight,
+        posterior: corpus.posterior,
+        lexicon: Array.isArray(corpus.lexicon) ? corpus.lexicon.slice() : [],
+        model: base64.encode(corpus.model.serialize({ includeVocabulary: false })),
+        bigrams: Array.from(corpus.bigrams.entries())
+      };
+      if (corpus.model === this.model) {
+        contextCorpus = key;
+      }
+    }
+
+    return {
+      format: snapshotFormat,
+      version: snapshotVersion,
+      config: { ...this.config },
+      vocabulary: this.vocab.symbols_.slice(1),
+      corpora,
+      activeCorpora: this._activeCorpora.slice(),
+      lastWord: this._lastWord,
+      context: {
+        corpus: contextCorpus,
+        ...this.model.exportContext(this.context),
+        text: tokenizer.fromCharArray(this._contextHistory.map(entry => entry.char)),
+        rollback: this._exportRollbackHistory()
+      }
+    };
+  }
+
+  /**
+   * Restore a predictor from a snapshot produced by toJSON().
+   *
+   * @param {Object|string} snapshot Snapshot object or its JSON string.
+   * @return {Predictor} Restored predictor.
+   */
+  static fromSnapshot(snapshot) {
+    const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (!data || data.format !== snapshotFormat) {
+      throw new Error('Invalid predictor snapshot');
+    }
+    if (data.version !== snapshotVersion) {
+      throw new Error(`Unsupported predictor snapshot version: ${data.version}`);
+    }
+
+    const predictor = new Predictor(data.config);
+
+    predictor.vocab = new vocab.Vocabulary();
+    for (const symbol of data.vocabulary) {
+      predictor.vocab.addSymbol(symbol);
+    }
+
+    predictor._corpora = {};
+    for (const [key, corpus] of Object.entries(data.corpora)) {
+      // Older snapshots keep the bigrams of the default corpus at the top level.
+      const bigrams = new Map(corpus.bigrams || (key === 'default' && data.bigrams) || []);
+      predictor._corpora[key] = {
+        model: ppm.PPMLanguageModel.deserialize(base64.decode(corpus.model), {
+          vocab: predictor.vocab
+        }),
+        enabled: corpus.enabled,
+        weight: corpus.weight !== undefined ? corpus.weight : 1,
+        posterior: corpus.posterior !== undefined ? corpus.posterior :
+          (corpus.weight !== undefined ? corpus.weight : 1),
+        context: null,
+        description: corpus.description,
+        lexicon: corpus.lexicon || [],
+        lexiconIndex: null,
+        lexiconTree: null,
+        lexiconTrie: null,
+        bigrams,
+        totalBigrams: Array.from(bigrams.values()).reduce((sum, count) => sum + count, 0)
+      };
+      predictor._buildCorpusLexicon(key);
+    }
+    if (!predictor._corpora['default']) {
+      throw new Error('Invalid predictor snapshot: missing default corpus');
+    }
+
+    predictor._activeCorpora = data.activeCorpora.filter(key => predictor._corpora[key]);
+    const contextCorpus = data.context && predictor._corpora[data.context.corpus]
+      ? data.context.corpus
+      : 'default';
+    predictor.model = predictor._corpora[contextCorpus].model;
+    // The live contexts are rebuilt from the text, except the saved one.
+    predictor._contextHistory = tokenizer.toCharArray((data.context && data.context.text) || '')
+      .map(char => ({ char, contexts: {}, learned: null }));
+    predictor._rebuildCorpusContexts();
+    predictor._importRollbackHistory((data.context && data.context.rollback) || []);
+    if (data.context) {
+      predictor._corpora[contextCorpus].context = predictor.model.importContext(data.context);
+      predictor._setCurrentCorpus(contextCorpus);
+    }
+
+    predictor._lastWord = data.lastWord;
+
+    return predictor;
+  }
+
+  /**
+   * Describe the context characters whose adaptive updates can still be
+   * rolled back, with the context each was learned in.
+   * @return {Object[]} Entries with the character position, corpus key and
+   *   the exported context.
+   * @private
+   */
+  _exportRollbackHistory() {
+    const rollback = [];
+    this._contextHistory.forEach((entry, position) => {
+      const context = entry.learned !== null ? entry.contexts[entry.learned] : null;
+      if (context) {
+        rollback.push({
+          position,
+          corpus: entry.learned,
+          ...this._corpora[entry.learned].model.exportContext(context)
+        });
+      }
+    });
+    return rollback;
+  }
+
+  /**
+   * Restore the rollback markers written by _exportRollbackHistory() after
+   * the context history has been rebuilt.
+   * @param {Object[]} rollback Exported rollback entries.
+   * @private
+   */
+  _importRollbackHistory(rollback) {
+    for (const { position, corpus, symbols, order } of rollback) {
+      const entry = this._contextHistory[position];
+      if (entry && this._corpora[corpus] && entry.contexts[corpus] !== undefined) {
+        entry.contexts[corpus] = this._corpora[corpus].model.importContext({ symbols, order });
+        entry.learned = corpus;
+      }
+    }
+  }
+
   /**
    * Get configuration.
    * @return {PredictorConfig} Current configuration.
@@ -1043,11 +2381,24 @@ class Predictor {
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
 
+    if (newConfig.rollbackDepth !== undefined) {
+      this._trimContextHistory();
+    }
+
     if (newConfig.ppmAlpha !== undefined ||
       newConfig.ppmBeta !== undefined ||
+      newConfig.ppmMethod !== undefined ||
       newConfig.ppmUseExclusion !== undefined ||
       newConfig.ppmUpdateExclusion !== undefined ||
-      newConfig.ppmMaxNodes !== undefined) {
+      newConfig.ppmMaxNodes !== undefined ||
+      newConfig.ppmEvictionPolicy !== undefined ||
+      newConfig.ppmCountLimit !== undefined ||
+      newConfig.ppmDecayInterval !== undefined ||
+      newConfig.ppmDecayFactor !== undefined ||
+      newConfig.ppmDynamicParameters !== undefined ||
+      newConfig.ppmLearningRate !== undefined ||
+      newConfig.ppmUnbounded !== undefined ||
+      newConfig.ppmMaxContextLength !== undefined) {
       this._applyPPMConfigToModels();
     }
 
@@ -1095,17 +2446,30 @@ class Predictor {
     corpus.lexiconTree = new BKTree(distanceFn);
 
     for (const entry of lexicon) {
-      if (typeof entry !== 'string' || entry.length === 0) {
-        continue;
-      }
+      this._indexLexiconWord(corpus, entry);
+    }
+  }
 
-      const normalized = this.config.caseSensitive ? entry : entry.toLowerCase();
-      if (!corpus.lexiconIndex.has(normalized)) {
-        corpus.lexiconIndex.add(normalized);
-        corpus.lexiconTree.insert(normalized);
-        corpus.lexiconTrie.insert(normalized);
-      }
+  /**
+   * Add a word to the lexicon index, trie and BK-tree of a corpus.
+   * @param {Object} corpus Corpus record.
+   * @param {string} entry Lexicon word.
+   * @return {boolean} Whether the word was new.
+   * @private
+   */
+  _indexLexiconWord(corpus, entry) {
+    if (typeof entry !== 'string' || entry.length === 0) {
+      return false;
     }
+
+    const normalized = this.config.caseSensitive ? entry : entry.toLowerCase();
+    if (corpus.lexiconIndex.has(normalized)) {
+      return false;
+    }
+    corpus.lexiconIndex.add(normalized);
+    corpus.lexiconTree.insert(normalized);
+    corpus.lexiconTrie.insert(normalized);
+    return true;
   }
 
   /**
@@ -1133,12 +2497,36 @@ class Predictor {
     return {
       alpha: this.config.ppmAlpha,
       beta: this.config.ppmBeta,
+      method: this.config.ppmMethod,
       useExclusion: this.config.ppmUseExclusion,
       updateExclusion: this.config.ppmUpdateExclusion,
-      maxNodes: this.config.ppmMaxNodes
+      maxNodes: this.config.ppmMaxNodes,
+      evictionPolicy: this.config.ppmEvictionPolicy,
+      countLimit: this.config.ppmCountLimit,
+      decayInterval: this.config.ppmDecayInterval,
+      decayFactor: this.config.ppmDecayFactor,
+      dynamicParameters: this.config.ppmDynamicParameters,
+      learningRate: this.config.ppmLearningRate,
+      unbounded: this.config.ppmUnbounded,
+      maxContextLength: this.config.ppmMaxContextLength
     };
   }
 
+  /**
+   * Creates an independent copy of a corpus model sharing the vocabulary.
+   * @param {ppm.PPMLanguageModel} model Model to copy.
+   * @param {vocab.Vocabulary} vocabulary Vocabulary of the copy (default: the
+   *   shared vocabulary).
+   * @return {ppm.PPMLanguageModel} Copy of the model.
+   * @private
+   */
+  _cloneModel(model, vocabulary = this.vocab) {
+    return ppm.PPMLanguageModel.deserialize(
+      model.serialize({ includeVocabulary: false }),
+      { vocab: vocabulary }
+    );
+  }
+
   /**
    * Applies current PPM settings to all loaded corpus models.
    * @private
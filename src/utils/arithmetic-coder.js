@@ -0,0 +1,211 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Binary arithmetic coder with 32-bit precision.
+ *
+ * This is the classic integer coder described in
+ *   Witten, Ian H. and Neal, Radford M. and Cleary, John G. (1987):
+ *   "Arithmetic Coding for Data Compression", Communications of the ACM,
+ *   vol. 30, no. 6, pp. 520--540.
+ * Symbols are coded from integer frequency intervals [low, high) out of a
+ * total. The total may be at most 2^24. All arithmetic uses plain numbers
+ * (not 32-bit bitwise operators), so the coder behaves identically in every
+ * JavaScript engine.
+ */
+
+const whole = 0x100000000; // 2^32
+const half = whole / 2;
+const quarter = whole / 4;
+
+/** Largest frequency total supported by the coder. */
+const maxTotal = 1 << 24;
+
+/**
+ * Narrows the [low, high] interval to the given frequency interval.
+ * @param {number} low Current interval start.
+ * @param {number} high Current interval end (inclusive).
+ * @param {number} cumLow Start of the symbol's frequency interval.
+ * @param {number} cumHigh End of the symbol's frequency interval.
+ * @param {number} total Frequency total.
+ * @return {!Array<number>} New [low, high].
+ */
+function narrow(low, high, cumLow, cumHigh, total) {
+  if (!(cumLow < cumHigh && cumHigh <= total && total <= maxTotal)) {
+    throw new Error(`Invalid frequency interval [${cumLow}, ${cumHigh}) of ${total}`);
+  }
+  // Rounding the step down wastes a little of the range but keeps every
+  // product below 2^32, well within exact double precision.
+  const step = Math.floor((high - low + 1) / total);
+  return [low + step * cumLow, low + step * cumHigh - 1];
+}
+
+/**
+ * Arithmetic encoder writing to a growable byte buffer.
+ */
+class ArithmeticEncoder {
+  constructor() {
+    this.low = 0;
+    this.high = whole - 1;
+    this.pendingBits = 0;
+    this.bytes = [];
+    this.currentByte = 0;
+    this.numBits = 0;
+  }
+
+  /**
+   * Appends a single bit to the output.
+   * @param {number} bit 0 or 1.
+   * @private
+   */
+  _writeBit(bit) {
+    this.currentByte = (this.currentByte << 1) | bit;
+    this.numBits++;
+    if (this.numBits === 8) {
+      this.bytes.push(this.currentByte);
+      this.currentByte = 0;
+      this.numBits = 0;
+    }
+  }
+
+  /**
+   * Writes a bit followed by the pending opposite bits.
+   * @param {number} bit 0 or 1.
+   * @private
+   */
+  _emit(bit) {
+    this._writeBit(bit);
+    for (; this.pendingBits > 0; this.pendingBits--) {
+      this._writeBit(1 - bit);
+    }
+  }
+
+  /**
+   * Encodes a symbol occupying [cumLow, cumHigh) out of total.
+   * @param {number} cumLow Cumulative frequency of the preceding symbols.
+   * @param {number} cumHigh cumLow plus the symbol's frequency.
+   * @param {number} total Total frequency of all symbols.
+   */
+  encode(cumLow, cumHigh, total) {
+    [this.low, this.high] = narrow(this.low, this.high, cumLow, cumHigh, total);
+    while (true) {
+      if (this.high < half) {
+        this._emit(0);
+      } else if (this.low >= half) {
+        this._emit(1);
+        this.low -= half;
+        this.high -= half;
+      } else if (this.low >= quarter && this.high < half + quarter) {
+        this.pendingBits++;
+        this.low -= quarter;
+        this.high -= quarter;
+      } else {
+        break;
+      }
+      this.low = this.low * 2;
+      this.high = this.high * 2 + 1;
+    }
+  }
+
+  /**
+   * Flushes the encoder state.
+   * @return {!Uint8Array} Encoded bytes.
+   */
+  finish() {
+    this.pendingBits++;
+    this._emit(this.low < quarter ? 0 : 1);
+    if (this.numBits > 0) {
+      this.bytes.push(this.currentByte << (8 - this.numBits));
+      this.currentByte = 0;
+      this.numBits = 0;
+    }
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Arithmetic decoder reading bytes written by ArithmeticEncoder.
+ */
+class ArithmeticDecoder {
+  /**
+   * @param {!Uint8Array} bytes Encoded bytes.
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.bitOffset = 0;
+    this.low = 0;
+    this.high = whole - 1;
+    this.value = 0;
+    for (let i = 0; i < 32; i++) {
+      this.value = this.value * 2 + this._readBit();
+    }
+  }
+
+  /**
+   * Reads the next bit, returning zeros past the end of the input.
+   * @return {number} 0 or 1.
+   * @private
+   */
+  _readBit() {
+    const byteIndex = this.bitOffset >> 3;
+    if (byteIndex >= this.bytes.length) {
+      this.bitOffset++;
+      return 0;
+    }
+    const bit = (this.bytes[byteIndex] >> (7 - (this.bitOffset & 7))) & 1;
+    this.bitOffset++;
+    return bit;
+  }
+
+  /**
+   * Returns the frequency the next symbol falls at. The caller finds the
+   * symbol whose interval contains it and then calls consume().
+   * @param {number} total Total frequency of all symbols.
+   * @return {number} Target frequency in [0, total).
+   */
+  target(total) {
+    const step = Math.floor((this.high - this.low + 1) / total);
+    return Math.min(total - 1, Math.floor((this.value - this.low) / step));
+  }
+
+  /**
+   * Removes the decoded symbol occupying [cumLow, cumHigh) from the input.
+   * @param {number} cumLow Cumulative frequency of the preceding symbols.
+   * @param {number} cumHigh cumLow plus the symbol's frequency.
+   * @param {number} total Total frequency of all symbols.
+   */
+  consume(cumLow, cumHigh, total) {
+    [this.low, this.high] = narrow(this.low, this.high, cumLow, cumHigh, total);
+    while (true) {
+      if (this.high < half) {
+        // Nothing to subtract.
+      } else if (this.low >= half) {
+        this.low -= half;
+        this.high -= half;
+        this.value -= half;
+      } else if (this.low >= quarter && this.high < half + quarter) {
+        this.low -= quarter;
+        this.high -= quarter;
+        this.value -= quarter;
+      } else {
+        break;
+      }
+      this.low = this.low * 2;
+      this.high = this.high * 2 + 1;
+      this.value = this.value * 2 + this._readBit();
+    }
+  }
+}
+
+export { ArithmeticEncoder, ArithmeticDecoder, maxTotal };
@@ -0,0 +1,105 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Environment-independent base64 encoding of binary data.
+ *
+ * Used to embed binary model buffers in JSON snapshots without relying on
+ * Node's Buffer or the browser's btoa/atob.
+ */
+
+const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const lookup = new Map();
+for (let i = 0; i < alphabet.length; i++) {
+  lookup.set(alphabet[i], i);
+}
+
+/**
+ * Encode bytes as a base64 string.
+ * @param {ArrayBuffer|Uint8Array} data Bytes to encode.
+ * @return {string} Base64 string (with padding).
+ */
+function encode(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const chunks = [];
+  let chunk = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const b0 = bytes[i];
+    const b1 = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const b2 = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const triple = (b0 << 16) | (b1 << 8) | b2;
+
+    chunk += alphabet[(triple >> 18) & 0x3f] + alphabet[(triple >> 12) & 0x3f];
+    chunk += i + 1 < bytes.length ? alphabet[(triple >> 6) & 0x3f] : '=';
+    chunk += i + 2 < bytes.length ? alphabet[triple & 0x3f] : '=';
+
+    // Join in chunks to avoid quadratic string building on large buffers.
+    if (chunk.length >= 8192) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+  }
+  chunks.push(chunk);
+  return chunks.join('');
+}
+
+/**
+ * Decode a base64 string into bytes.
+ * @param {string} text Base64 string.
+ * @return {Uint8Array} Decoded bytes.
+ */
+function decode(text) {
+  if (typeof text !== 'string' || text.length % 4 !== 0) {
+    throw new Error('Invalid base64 string');
+  }
+
+  let padding = 0;
+  if (text.endsWith('==')) {
+    padding = 2;
+  } else if (text.endsWith('=')) {
+    padding = 1;
+  }
+
+  const bytes = new Uint8Array((text.length / 4) * 3 - padding);
+  let offset = 0;
+
+  for (let i = 0; i < text.length; i += 4) {
+    let triple = 0;
+    for (let j = 0; j < 4; j++) {
+      const char = text[i + j];
+      let value = 0;
+      if (char !== '=') {
+        value = lookup.get(char);
+        if (value === undefined) {
+          throw new Error(`Invalid base64 character: ${char}`);
+        }
+      }
+      triple = (triple << 6) | value;
+    }
+
+    bytes[offset++] = (triple >> 16) & 0xff;
+    if (offset < bytes.length) {
+      bytes[offset++] = (triple >> 8) & 0xff;
+    }
+    if (offset < bytes.length) {
+      bytes[offset++] = triple & 0xff;
+    }
+  }
+
+  return bytes;
+}
+
+export { encode, decode };
@@ -0,0 +1,193 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Minimal byte buffer reader/writer used for binary formats.
+ *
+ * Integers are written as unsigned LEB128 varints, strings as a varint byte
+ * length followed by UTF-8 bytes. Works identically in Node and the browser.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Growable byte buffer writer.
+ */
+class ByteWriter {
+  /**
+   * @param {number} initialCapacity Initial buffer size in bytes.
+   */
+  constructor(initialCapacity = 1024) {
+    this.bytes = new Uint8Array(Math.max(16, initialCapacity));
+    this.length = 0;
+  }
+
+  /**
+   * Makes sure there is room for the given number of additional bytes.
+   * @param {number} extra Number of bytes about to be written.
+   * @private
+   */
+  _reserve(extra) {
+    const required = this.length + extra;
+    if (required <= this.bytes.length) {
+      return;
+    }
+    let capacity = this.bytes.length * 2;
+    while (capacity < required) {
+      capacity *= 2;
+    }
+    const grown = new Uint8Array(capacity);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  /**
+   * Writes a single byte.
+   * @param {number} value Byte value (0-255).
+   */
+  writeUint8(value) {
+    this._reserve(1);
+    this.bytes[this.length++] = value & 0xff;
+  }
+
+  /**
+   * Writes a non-negative integer (up to 2^53 - 1) as a varint.
+   * @param {number} value Integer to write.
+   */
+  writeVarUint(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Cannot encode ${value} as an unsigned varint`);
+    }
+    this._reserve(8);
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes[this.length++] = (remaining % 0x80) | 0x80;
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes[this.length++] = remaining;
+  }
+
+  /**
+   * Writes raw bytes.
+   * @param {Uint8Array} bytes Bytes to append.
+   */
+  writeBytes(bytes) {
+    this._reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Writes a length-prefixed UTF-8 string.
+   * @param {string} value String to write.
+   */
+  writeString(value) {
+    const encoded = textEncoder.encode(value);
+    this.writeVarUint(encoded.length);
+    this.writeBytes(encoded);
+  }
+
+  /**
+   * Returns the written bytes as a standalone ArrayBuffer.
+   * @return {ArrayBuffer} Copy of the written bytes.
+   */
+  toArrayBuffer() {
+    return this.bytes.slice(0, this.length).buffer;
+  }
+}
+
+/**
+ * Sequential reader over a byte buffer.
+ */
+class ByteReader {
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} buffer Source bytes. Node Buffers
+   *     and other typed array views are read without copying.
+   */
+  constructor(buffer) {
+    if (buffer instanceof ArrayBuffer) {
+      this.bytes = new Uint8Array(buffer);
+    } else if (ArrayBuffer.isView(buffer)) {
+      this.bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    } else {
+      throw new Error('Expected an ArrayBuffer or typed array');
+    }
+    this.offset = 0;
+  }
+
+  /**
+   * Returns true when all bytes have been consumed.
+   * @return {boolean}
+   */
+  eof() {
+    return this.offset >= this.bytes.length;
+  }
+
+  /**
+   * Reads a single byte.
+   * @return {number} Byte value.
+   */
+  readUint8() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  /**
+   * Reads a varint written by ByteWriter.writeVarUint().
+   * @return {number} Decoded integer.
+   */
+  readVarUint() {
+    let value = 0;
+    let scale = 1;
+    while (true) {
+      const byte = this.readUint8();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) {
+        return value;
+      }
+      scale *= 0x80;
+      if (scale > Number.MAX_SAFE_INTEGER) {
+        throw new Error('Varint is too long');
+      }
+    }
+  }
+
+  /**
+   * Reads raw bytes.
+   * @param {number} length Number of bytes to read.
+   * @return {Uint8Array} View over the bytes read.
+   */
+  readBytes(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+    const view = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return view;
+  }
+
+  /**
+   * Reads a length-prefixed UTF-8 string.
+   * @return {string} Decoded string.
+   */
+  readString() {
+    const length = this.readVarUint();
+    return textDecoder.decode(this.readBytes(length));
+  }
+}
+
+export { ByteWriter, ByteReader };
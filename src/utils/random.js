@@ -0,0 +1,51 @@
+// Copyright 2025 Will Wade
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Seeded pseudo-random numbers.
+ *
+ * Math.random() cannot be seeded, so sampling from the models would not be
+ * reproducible. This is the small Mulberry32 generator: 32 bits of state,
+ * good enough statistical quality for sampling text, and the same sequence
+ * in every JavaScript engine.
+ */
+
+/**
+ * Creates a random number generator.
+ * @param {number=} seed Integer seed. Without one, a seed is drawn from
+ *     Math.random() and the sequence is not reproducible.
+ * @return {function(): number} Function returning numbers in [0, 1).
+ *
+ * @example
+ * const random = createRandom(42);
+ * random(); // Always the same first number for seed 42
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    seed = Math.floor(Math.random() * 0x100000000);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error('seed must be an integer');
+  }
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+export { createRandom };
@@ -18,13 +18,19 @@
 
 import assert from 'assert';
 import {
+  Predictor,
   createPredictor,
   createStrictPredictor,
   createErrorTolerantPredictor,
   PPMLanguageModel,
   Vocabulary,
   levenshteinDistance,
-  similarityScore
+  similarityScore,
+  compress,
+  decompress,
+  toNgramTSV,
+  toNgramJSON,
+  summarizeNgrams
 } from '../src/index.js';
 
 let testsPassed = 0;
@@ -42,6 +48,12 @@ function test(name, fn) {
   }
 }
 
+// Count of the node for a symbol directly under the PPM trie root (0 if none).
+function rootChildCount(model, symbol) {
+  const node = model.nodes_.findChildWithSymbol(model.root_, symbol);
+  return node < 0 ? 0 : model.nodes_.count_[node];
+}
+
 console.log('Running Predictor Tests...');
 console.log('='.repeat(60));
 console.log();
@@ -801,12 +813,12 @@ test('PPM updateExclusion=false propagates counts to shorter contexts', () => {
     propagatedModel.addSymbolAndUpdate(contextPropagated, a);
   }
 
-  const singleRootChild = singleCountModel.root_.findChildWithSymbol(a);
-  const propagatedRootChild = propagatedModel.root_.findChildWithSymbol(a);
+  const singleRootCount = rootChildCount(singleCountModel, a);
+  const propagatedRootCount = rootChildCount(propagatedModel, a);
 
-  assert(singleRootChild, 'Expected root child for symbol a');
-  assert(propagatedRootChild, 'Expected root child for symbol a');
-  assert(propagatedRootChild.count_ > singleRootChild.count_,
+  assert(singleRootCount > 0, 'Expected root child for symbol a');
+  assert(propagatedRootCount > 0, 'Expected root child for symbol a');
+  assert(propagatedRootCount > singleRootCount,
     'Expected propagated mode to accumulate larger lower-order counts');
 });
 
@@ -893,6 +905,1229 @@ test('PPM maxNodes limits trie growth', () => {
   assert(stats.skippedNodeAdds > 0, 'Expected skipped node additions when capped');
 });
 
+test('PPM serialize/deserialize round-trip preserves probabilities', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'the quick brown fox jumps over the lazy dog. the quick blue hare.';
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 4, { alpha: 0.3, beta: 0.6 });
+  const context = model.createContext();
+  for (const ch of text) {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+
+  const restored = PPMLanguageModel.deserialize(model.serialize());
+  assert.deepStrictEqual(restored.vocab_.symbols_, vocabulary.symbols_);
+  assert.deepStrictEqual(restored.getStats(), model.getStats());
+  assert.strictEqual(restored.alpha_, 0.3);
+  assert.strictEqual(restored.beta_, 0.6);
+
+  const original = model.createContext();
+  const copy = restored.createContext();
+  for (const ch of 'the lazy fox') {
+    const symbol = vocabulary.getSymbol(ch);
+    model.addSymbolToContext(original, symbol);
+    restored.addSymbolToContext(copy, symbol);
+    assert.deepStrictEqual(restored.getProbs(copy), model.getProbs(original));
+  }
+});
+
+test('PPM deserialize rejects invalid buffers', () => {
+  assert.throws(() => PPMLanguageModel.deserialize(new Uint8Array([1, 2, 3, 4, 5])),
+    /bad magic bytes/);
+});
+
+test('Predictor snapshot restores corpora, bigrams and live context', () => {
+  const predictor = createPredictor({ adaptive: true, lexicon: ['hello', 'help'] });
+  predictor.train('hello there. hello world. help me please.');
+  predictor.addTrainingCorpus('medical', 'take two tablets after meals', {
+    description: 'Medical phrases',
+    lexicon: ['tablets', 'take'],
+    enabled: false
+  });
+  predictor.addToContext('hello wo');
+
+  const restored = Predictor.fromSnapshot(JSON.stringify(predictor));
+
+  assert.deepStrictEqual(restored.getCorpora(), predictor.getCorpora());
+  assert.deepStrictEqual(restored.getCorpora(true), predictor.getCorpora(true));
+  assert.deepStrictEqual(restored.getCorpusInfo('medical'), predictor.getCorpusInfo('medical'));
+  assert.deepStrictEqual(restored.getConfig(), predictor.getConfig());
+  assert.deepStrictEqual(restored.predictNextCharacter(), predictor.predictNextCharacter());
+  assert.deepStrictEqual(restored.predictNextWord('hello'), predictor.predictNextWord('hello'));
+  assert.deepStrictEqual(restored.predictWordCompletion('hel'), predictor.predictWordCompletion('hel'));
+  assert.deepStrictEqual(restored.getPPMStats(), predictor.getPPMStats());
+
+  // Adaptive learning continues from the same state.
+  predictor.addToContext('rld');
+  restored.addToContext('rld');
+  assert.deepStrictEqual(restored.predictNextCharacter(), predictor.predictNextCharacter());
+});
+
+test('Predictor.fromSnapshot rejects unknown formats', () => {
+  assert.throws(() => Predictor.fromSnapshot({ format: 'other' }), /Invalid predictor snapshot/);
+});
+
+test('PPM prune by order matches a lower-order model', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'the quick brown fox jumps over the lazy dog. the quick blue hare.';
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const train = (maxOrder) => {
+    const model = new PPMLanguageModel(vocabulary, maxOrder);
+    const context = model.createContext();
+    for (const ch of text) {
+      model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+    }
+    return model;
+  };
+
+  const model = train(4);
+  const lower = train(2);
+  const stats = model.prune({ maxOrderToKeep: 2 });
+  assert.strictEqual(stats.removedByCount, 0);
+  assert.strictEqual(stats.numNodesAfter, lower.getStats().numNodes);
+  assert.strictEqual(stats.numNodesBefore - stats.removedByOrder, stats.numNodesAfter);
+
+  const pruned = model.createContext();
+  const expected = lower.createContext();
+  for (const ch of 'the lazy hare') {
+    const symbol = vocabulary.getSymbol(ch);
+    model.addSymbolToContext(pruned, symbol);
+    lower.addSymbolToContext(expected, symbol);
+    const probs = model.getProbs(pruned);
+    const lowerProbs = lower.getProbs(expected);
+    probs.forEach((p, i) => assert(Math.abs(p - lowerProbs[i]) < 1e-12));
+  }
+});
+
+test('PPM prune by count honours targetNodes and keeps the model valid', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'she sells sea shells by the sea shore, the shells she sells are sea shells. '.repeat(3);
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 5);
+  const context = model.createContext();
+  for (const ch of text) {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+
+  const before = model.getStats().numNodes;
+  const stats = model.prune({ minCount: 2, targetNodes: Math.floor(before / 2) });
+  assert(stats.numNodesAfter <= before / 2, `Expected at most ${before / 2} nodes`);
+  assert.strictEqual(model.getStats().numNodes, stats.numNodesAfter);
+  assert(stats.countThreshold >= 2);
+
+  const fresh = model.createContext();
+  for (const ch of 'the sea shells') {
+    model.addSymbolToContext(fresh, vocabulary.getSymbol(ch));
+    const probs = model.getProbs(fresh);
+    const sum = probs.reduce((a, b) => a + b, 0);
+    assert(Math.abs(sum - 1) < 1e-9, `Expected probabilities to sum to 1, got ${sum}`);
+  }
+  const probs = model.getProbs(fresh);
+  assert(probs[vocabulary.getSymbol(' ')] > 0.5, 'Expected a space after "shells"');
+});
+
+test('PPM countLimit halves the counts of a context', () => {
+  const vocabulary = new Vocabulary();
+  for (const ch of 'ab') {
+    vocabulary.addSymbol(ch);
+  }
+  const a = vocabulary.getSymbol('a');
+  const b = vocabulary.getSymbol('b');
+  const model = new PPMLanguageModel(vocabulary, 0, { countLimit: 8 });
+  const context = model.createContext();
+  model.addSymbolAndUpdate(context, b);
+  for (let i = 0; i < 8; i++) {
+    model.addSymbolAndUpdate(context, a);
+  }
+  assert.strictEqual(rootChildCount(model, a), 8);
+
+  // The ninth 'a' passes the limit and halves both counts.
+  model.addSymbolAndUpdate(context, a);
+  assert.strictEqual(rootChildCount(model, a), 5);
+  assert.strictEqual(rootChildCount(model, b), 1);
+
+  for (let i = 0; i < 100; i++) {
+    model.addSymbolAndUpdate(context, a);
+  }
+  assert(rootChildCount(model, a) <= 8, 'Expected counts to stay bounded');
+});
+
+test('PPM count decay gives recent text more weight', () => {
+  const vocabulary = new Vocabulary();
+  for (const ch of 'xy') {
+    vocabulary.addSymbol(ch);
+  }
+  const train = (options) => {
+    const model = new PPMLanguageModel(vocabulary, 0, options);
+    const context = model.createContext();
+    for (const ch of 'x'.repeat(200) + 'y'.repeat(40)) {
+      model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+    }
+    return model;
+  };
+  const y = vocabulary.getSymbol('y');
+  const plain = train({});
+  const aged = train({ decayInterval: 20, decayFactor: 0.5 });
+  assert.strictEqual(aged.getStats().numNodes, plain.getStats().numNodes);
+  assert(aged.getProbs(aged.createContext())[y] > plain.getProbs(plain.createContext())[y],
+    'Expected decay to favour the recent symbol');
+
+  // Decay settings survive serialization.
+  const restored = PPMLanguageModel.deserialize(aged.serialize());
+  assert.strictEqual(restored.decayInterval_, 20);
+  assert.strictEqual(restored.updatesSinceDecay_, aged.updatesSinceDecay_);
+
+  const predictor = new Predictor({ ppmCountLimit: 100 });
+  predictor.updateConfig({ ppmDecayInterval: 50, ppmDecayFactor: 0.25 });
+  assert.strictEqual(predictor.model.countLimit_, 100);
+  assert.strictEqual(predictor.model.decayFactor_, 0.25);
+});
+
+test('PPM evaluate reports bits per symbol without changing the model', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'the cat sat on the mat. the cat ate the rat.';
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 3);
+  const context = model.createContext();
+  for (const ch of text) {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+
+  const symbols = Array.from('the rat sat', ch => vocabulary.getSymbol(ch));
+  const before = model.getStats();
+  const result = model.evaluate(symbols);
+  assert.deepStrictEqual(model.getStats(), before);
+  assert.strictEqual(result.numSymbols, symbols.length);
+  assert.strictEqual(result.logProbs.length, symbols.length);
+
+  const expected = model.createContext();
+  model.addSymbolToContext(expected, symbols[0]);
+  assert.strictEqual(result.logProbs[1], Math.log2(model.getProbs(expected)[symbols[1]]));
+  const sum = result.logProbs.reduce((a, b) => a + b, 0);
+  assert(Math.abs(result.totalBits + sum) < 1e-9);
+  assert(Math.abs(result.perplexity - Math.pow(2, result.bitsPerSymbol)) < 1e-9);
+
+  // Adaptive evaluation learns as it goes, so a repeated text gets cheaper.
+  const repeated = symbols.concat(symbols);
+  const adaptive = model.evaluate(repeated, { adaptive: true });
+  assert(model.getStats().numNodes > before.numNodes, 'Expected adaptive mode to update the model');
+  const firstHalf = adaptive.logProbs.slice(0, symbols.length).reduce((a, b) => a + b, 0);
+  const secondHalf = adaptive.logProbs.slice(symbols.length).reduce((a, b) => a + b, 0);
+  assert(secondHalf > firstHalf);
+});
+
+test('Predictor evaluateText scores corpora and their mixture', () => {
+  const predictor = new Predictor();
+  predictor.train('the quick brown fox jumps over the lazy dog. '.repeat(3));
+  predictor.addTrainingCorpus('other', 'lorem ipsum dolor sit amet. '.repeat(3));
+  const stats = predictor.getPPMStats();
+
+  const single = predictor.evaluateText('the lazy fox', { corpora: 'default' });
+  const direct = predictor.model.evaluate(
+    Array.from('the lazy fox', ch => predictor.vocab.getSymbol(ch)));
+  assert.strictEqual(single.bitsPerCharacter, direct.bitsPerSymbol);
+  assert.deepStrictEqual(single.logProbs, direct.logProbs);
+
+  const mixed = predictor.evaluateText('the lazy fox');
+  assert.deepStrictEqual(Object.keys(mixed.corpora), ['default', 'other']);
+  assert(mixed.corpora.default.bitsPerCharacter < mixed.corpora.other.bitsPerCharacter);
+  assert.strictEqual(mixed.numCharacters, 12);
+
+  const text = 'zebra quiz, zebra quiz';
+  const adaptive = predictor.evaluateText(text, { adaptive: true });
+  assert(adaptive.totalBits < predictor.evaluateText(text).totalBits);
+  assert.deepStrictEqual(predictor.getPPMStats(), stats);
+
+  assert.throws(() => predictor.evaluateText('abc', { corpora: 'missing' }), /does not exist/);
+});
+
+test('Predictor evaluateText leaves the vocabulary unchanged', () => {
+  const predictor = new Predictor({ maxPredictions: 200 });
+  predictor.train('the price is 5 pounds. the price is 6 pounds. ');
+  const vocabSize = predictor.vocab.size();
+  const before = predictor.predictNextCharacter('the ');
+
+  const result = predictor.evaluateText('the price is 5 \u20ac\u00e9');
+  assert.ok(result.logProbs.every(logProb => Number.isFinite(logProb)));
+  assert.strictEqual(predictor.vocab.size(), vocabSize);
+  assert.deepStrictEqual(predictor.predictNextCharacter('the '), before);
+  assert.deepStrictEqual(predictor.evaluateText('the price is 5 \u20ac\u00e9'), result);
+  assert.ok(predictor.evaluateText('\u20ac', { adaptive: true }).totalBits > 0);
+  assert.strictEqual(predictor.vocab.size(), vocabSize);
+});
+
+test('compress/decompress round-trips text', () => {
+  const text = 'The quick brown fox jumps over the lazy dog. '.repeat(20) + 'Ünïcödé 😀 done.';
+  const bytes = compress(text);
+  assert(bytes instanceof Uint8Array);
+  assert(bytes.length < text.length / 3, `Expected repetitive text to compress well, got ${bytes.length} bytes`);
+  assert.strictEqual(decompress(bytes), text);
+
+  for (const sample of ['', 'a', 'aaaaaaaa', 'ab\nba\t']) {
+    assert.strictEqual(decompress(compress(sample, { maxOrder: 2, alpha: 0.2 })), sample);
+  }
+  assert.throws(() => decompress(new Uint8Array([1, 2, 3, 4])), /bad magic bytes/);
+});
+
+test('compress primed with a trained model needs the same model', () => {
+  const vocabulary = new Vocabulary();
+  const training = 'she sells sea shells by the sea shore. ';
+  for (const ch of training) {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 4);
+  const context = model.createContext();
+  for (const ch of training.repeat(5)) {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+  const before = model.getStats();
+
+  const message = 'the sea shells she sells! ';
+  const primed = compress(message, { model });
+  assert(primed.length < compress(message).length, 'Expected priming to help');
+  assert.deepStrictEqual(model.getStats(), before);
+  assert.strictEqual(vocabulary.getSymbol('!'), -1);
+  assert.strictEqual(decompress(primed, { model }), message);
+
+  assert.throws(() => decompress(primed), /compressed with a model/);
+  const other = new PPMLanguageModel(vocabulary, 4);
+  assert.throws(() => decompress(primed, { model: other }), /does not match/);
+});
+
+test('PPM dynamic parameter gradients match numerical derivatives', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'she sells sea shells by the sea shore, the shells she sells are sea shells. ';
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 3, { dynamicParameters: true, learningRate: 0 });
+  const context = model.createContext();
+  for (const ch of text) {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+  model.setParameters({ alphas: [0.3, 0.6, 0.9, 1.2], betas: [0.5, 0.6, 0.7, 0.4] });
+  for (const ch of 'the s') {
+    model.addSymbolToContext(context, vocabulary.getSymbol(ch));
+  }
+
+  const symbol = vocabulary.getSymbol('e');
+  const logProb = () => Math.log(model.getProbs(context)[symbol]);
+  const before = model.getDepthParameters();
+  model.setParameters({ learningRate: 1e-6 });
+  model.updateParameters_(context, symbol);
+  const after = model.getDepthParameters();
+  model.setParameters(before);
+
+  const h = 1e-6;
+  for (const name of ['alphas', 'betas']) {
+    for (let depth = 0; depth <= 3; depth++) {
+      const values = before[name].slice();
+      values[depth] += h;
+      model.setParameters({ [name]: values });
+      const up = logProb();
+      values[depth] -= 2 * h;
+      model.setParameters({ [name]: values });
+      const down = logProb();
+      model.setParameters(before);
+
+      const numerical = (up - down) / (2 * h);
+      const analytic = (after[name][depth] - before[name][depth]) / 1e-6;
+      assert(Math.abs(numerical - analytic) < 1e-4,
+        `${name}[${depth}]: expected ${numerical}, got ${analytic}`);
+    }
+  }
+});
+
+test('PPM dynamic parameters are learned and persisted', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'the quick brown fox jumps over the lazy dog. '.repeat(10);
+  for (const ch of text) {
+    vocabulary.addSymbol(ch);
+  }
+  const symbols = Array.from(text, ch => vocabulary.getSymbol(ch));
+  const fixed = new PPMLanguageModel(vocabulary, 4);
+  const dynamic = new PPMLanguageModel(vocabulary, 4, { dynamicParameters: true });
+  const fixedBits = fixed.evaluate(symbols, { adaptive: true }).totalBits;
+  const dynamicBits = dynamic.evaluate(symbols, { adaptive: true }).totalBits;
+  assert(dynamicBits < fixedBits, `Expected learning to help: ${dynamicBits} vs ${fixedBits}`);
+
+  const learned = dynamic.getDepthParameters();
+  assert.strictEqual(learned.alphas.length, 5);
+  assert.notDeepStrictEqual(learned, fixed.getDepthParameters());
+
+  const restored = PPMLanguageModel.deserialize(dynamic.serialize());
+  assert.deepStrictEqual(restored.getDepthParameters(), learned);
+  const context = restored.createContext();
+  assert.deepStrictEqual(restored.getProbs(context), dynamic.getProbs(dynamic.createContext()));
+
+  const predictor = new Predictor({ ppmDynamicParameters: true });
+  predictor.train(text);
+  predictor.updateConfig({ ppmLearningRate: 0.01 });
+  assert.deepStrictEqual(predictor.getPPMParameters().default, predictor.model.getDepthParameters());
+  assert.notStrictEqual(predictor.getPPMParameters().default.betas[2], 0.77);
+});
+
+test('PPM escape methods give valid distributions', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'abracadabra, abracadabra! a cab. ';
+  for (const ch of text + 'xyz') {
+    vocabulary.addSymbol(ch);
+  }
+  for (const method of ['kn', 'a', 'b', 'c', 'd', 'x']) {
+    for (const useExclusion of [true, false]) {
+      const model = new PPMLanguageModel(vocabulary, 3, { method, useExclusion });
+      const context = model.createContext();
+      for (const ch of text) {
+        model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+      }
+      for (const ch of 'abra') {
+        model.addSymbolToContext(context, vocabulary.getSymbol(ch));
+        const probs = model.getProbs(context);
+        const sum = probs.reduce((a, b) => a + b, 0);
+        assert(Math.abs(sum - 1) < 1e-9, `${method}: probabilities sum to ${sum}`);
+        assert(probs.slice(1).every(p => p > 0), `${method}: expected no zero probabilities`);
+      }
+    }
+  }
+});
+
+test('PPM method C matches the textbook estimate', () => {
+  const vocabulary = new Vocabulary();
+  for (const ch of 'abc') {
+    vocabulary.addSymbol(ch);
+  }
+  const model = new PPMLanguageModel(vocabulary, 0, { method: 'C' });
+  const context = model.createContext();
+  for (const ch of 'aaab') {
+    model.addSymbolAndUpdate(context, vocabulary.getSymbol(ch));
+  }
+  // Order 0 has seen T = 4 symbols, q = 2 distinct: P(a) = 3/6, P(b) = 1/6
+  // and the escape mass 2/6 goes to the uniform distribution over 'c'.
+  const probs = model.getProbs(context);
+  assert(Math.abs(probs[vocabulary.getSymbol('a')] - 3 / 6) < 1e-12);
+  assert(Math.abs(probs[vocabulary.getSymbol('b')] - 1 / 6) < 1e-12);
+  assert(Math.abs(probs[vocabulary.getSymbol('c')] - 2 / 6) < 1e-12);
+  assert.strictEqual(PPMLanguageModel.deserialize(model.serialize()).method_, 'c');
+  assert.throws(() => model.setParameters({ method: 'ppmz' }), /method must be one of/);
+
+  const predictor = new Predictor({ ppmMethod: 'x' });
+  predictor.addTrainingCorpus('other', 'some text');
+  assert.strictEqual(predictor._corpora.other.model.method_, 'x');
+  predictor.updateConfig({ ppmMethod: 'd' });
+  assert.strictEqual(predictor.model.method_, 'd');
+});
+
+test('PPM trie storage grows and reports its size', () => {
+  const vocabulary = new Vocabulary();
+  // Pseudo-random text creates a new node for almost every context.
+  let seed = 1;
+  let text = '';
+  for (let i = 0; i < 600; i++) {
+    seed = (seed * 16807) % 2147483647;
+    text += 'abcdefgh '[seed % 9];
+  }
+  const symbols = Array.from(text).map(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 5);
+  const emptyStats = model.getStats();
+  const context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+  const stats = model.getStats();
+  assert(stats.numNodes > emptyStats.nodeCapacity, 'Expected the storage to grow');
+  assert(stats.nodeCapacity >= stats.numNodes);
+  assert.strictEqual(stats.bytes, stats.nodeCapacity * 20);
+  assert(stats.bytes > emptyStats.bytes);
+
+  // A restored model is allocated exactly and predicts the same.
+  const restored = PPMLanguageModel.deserialize(model.serialize());
+  assert.strictEqual(restored.getStats().nodeCapacity, stats.numNodes);
+  const original = model.createContext();
+  const copy = restored.createContext();
+  for (const symbol of symbols.slice(0, 60)) {
+    assert.deepStrictEqual(restored.getProbs(copy), model.getProbs(original));
+    model.addSymbolToContext(original, symbol);
+    restored.addSymbolToContext(copy, symbol);
+  }
+});
+
+test('PPM reuses the storage of pruned nodes', () => {
+  const vocabulary = new Vocabulary();
+  const text = 'she sells sea shells by the sea shore. ' +
+    'peter piper picked a peck of pickled peppers. ';
+  const symbols = Array.from(text.repeat(10)).map(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 4);
+  let context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+  const before = model.getStats();
+
+  const pruned = model.prune({ maxOrderToKeep: 1 });
+  assert(pruned.removedNodes > 0);
+  context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+  const after = model.getStats();
+  assert(after.numNodes <= before.numNodes);
+  assert.strictEqual(after.nodeCapacity, before.nodeCapacity);
+});
+
+test('PPM forget reverses addSymbolAndUpdate', () => {
+  for (const updateExclusion of [true, false]) {
+    const vocabulary = new Vocabulary();
+    const toSymbols = text => Array.from(text).map(ch => vocabulary.addSymbol(ch));
+    const base = toSymbols('the cat sat on the mat. the dog sat on the log.');
+    const extra = toSymbols('my secret is zebra quartz');
+    const model = new PPMLanguageModel(vocabulary, 4, { updateExclusion });
+    let context = model.createContext();
+    base.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+    const expected = Buffer.from(model.serialize());
+
+    context = model.createContext();
+    extra.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+    const stats = model.forget(extra);
+    assert(stats.removedNodes > 0);
+    assert.strictEqual(stats.numNodesAfter, model.getStats().numNodes);
+    assert(Buffer.from(model.serialize()).equals(expected),
+      'Expected the model learned before to be restored');
+
+    // Forgetting unseen symbols leaves the model alone.
+    assert.strictEqual(model.forget(toSymbols('zzz')).removedNodes, 0);
+  }
+});
+
+test('Predictor unlearn removes text and its bigrams', () => {
+  const predictor = new Predictor({ adaptive: true });
+  predictor.train('hello world. hello there.');
+  predictor.addToContext('hello w');
+  const baseline = predictor.getPPMStats().default.numNodes;
+  predictor.train('secret password');
+  assert(predictor.predictNextWord('secret').some(p => p.text === 'password'));
+
+  const result = predictor.unlearn('secret password');
+  assert(result.removedNodes > 0);
+  assert.strictEqual(result.removedBigrams, 1);
+  assert.strictEqual(predictor.predictNextWord('secret').length, 0);
+  assert.strictEqual(predictor.getBigramStats().totalBigrams, 3);
+  assert.strictEqual(predictor.getPPMStats().default.numNodes, baseline);
+  // The live context survives.
+  assert.strictEqual(predictor.predictNextCharacter()[0].text, 'o');
+  assert.throws(() => predictor.unlearn('text', { corpus: 'missing' }), /does not exist/);
+});
+
+test('PPM merge combines models with different vocabularies', () => {
+  const train = (text) => {
+    const vocabulary = new Vocabulary();
+    const symbols = Array.from(text).map(ch => vocabulary.addSymbol(ch));
+    const model = new PPMLanguageModel(vocabulary, 3);
+    const context = model.createContext();
+    symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+    return model;
+  };
+  const probsOf = (model, text) => {
+    const context = model.createContext();
+    for (const ch of text) {
+      model.addSymbolToContext(context, model.vocab_.getSymbol(ch));
+    }
+    const probs = model.getProbs(context);
+    const result = {};
+    model.vocab_.symbols_.forEach((symbol, i) => {
+      if (i > 0) {
+        result[symbol] = probs[i];
+      }
+    });
+    return result;
+  };
+
+  // Merging into an empty model reproduces the original, whatever the IDs.
+  const source = train('abracadabra cadabra');
+  const emptyVocabulary = new Vocabulary();
+  for (const ch of ' drcba') {
+    emptyVocabulary.addSymbol(ch);
+  }
+  const copy = new PPMLanguageModel(emptyVocabulary, 3);
+  copy.merge(source);
+  assert.strictEqual(copy.getStats().numNodes, source.getStats().numNodes);
+  for (const context of ['', 'ab', 'cad', 'bra ']) {
+    const expected = probsOf(source, context);
+    const actual = probsOf(copy, context);
+    for (const symbol of Object.keys(expected)) {
+      assert(Math.abs(actual[symbol] - expected[symbol]) < 1e-12);
+    }
+  }
+
+  // Counts add up, and new symbols join the vocabulary only when allowed.
+  const left = train('hello hello');
+  const right = train('hello world');
+  const vocabularySize = left.vocab_.size();
+  assert.throws(() => left.merge(right), /missing from this vocabulary: w, r, d/);
+  assert.strictEqual(left.vocab_.size(), vocabularySize);
+  const countOf = (model, ch) => rootChildCount(model, model.vocab_.getSymbol(ch));
+  const expectedCount = countOf(left, 'h') + countOf(right, 'h');
+  const stats = left.merge(right, { addSymbols: true });
+  assert(stats.addedNodes > 0);
+  assert.strictEqual(stats.numNodesAfter, left.getStats().numNodes);
+  assert(left.vocab_.getSymbol('w') > 0);
+  assert.strictEqual(countOf(left, 'h'), expectedCount);
+  assert(probsOf(left, 'hello ').w > 0.1);
+});
+
+test('PPM merge respects the node budget', () => {
+  const vocabulary = new Vocabulary();
+  const symbols = Array.from('the rain in spain stays mainly in the plain')
+    .map(ch => vocabulary.addSymbol(ch));
+  const other = new PPMLanguageModel(vocabulary, 4);
+  const context = other.createContext();
+  symbols.forEach(symbol => other.addSymbolAndUpdate(context, symbol));
+
+  const model = new PPMLanguageModel(vocabulary, 4, { maxNodes: 20 });
+  const stats = model.merge(other);
+  assert.strictEqual(model.getStats().numNodes, 20);
+  assert.strictEqual(stats.addedNodes + stats.skippedNodes, other.getStats().numNodes - 1);
+  assert.strictEqual(model.getStats().skippedNodeAdds, stats.skippedNodes);
+  // The partially merged trie is still consistent.
+  const restored = PPMLanguageModel.deserialize(model.serialize());
+  assert.strictEqual(restored.evaluate(symbols).numSymbols, symbols.length);
+  assert.throws(() => model.merge(model), /into itself/);
+});
+
+test('PPM* keeps long contexts for repeated phrases', () => {
+  // The two phrases only differ after 'that i ', where a context of three
+  // symbols cannot tell them apart.
+  const vocabulary = new Vocabulary();
+  const phrases = ['tell john that i love you. ', 'tell mary that i miss you. '];
+  let text = '';
+  let seed = 1;
+  for (let i = 0; i < 40; i++) {
+    seed = (seed * 16807) % 2147483647;
+    text += phrases[seed % 2];
+  }
+  const symbols = Array.from(text).map(ch => vocabulary.addSymbol(ch));
+  const bounded = new PPMLanguageModel(vocabulary, 3);
+  const unbounded = new PPMLanguageModel(vocabulary, 3, { unbounded: true });
+  const boundedBits = bounded.evaluate(symbols, { adaptive: true }).bitsPerSymbol;
+  const unboundedBits = unbounded.evaluate(symbols, { adaptive: true }).bitsPerSymbol;
+  assert(unboundedBits < boundedBits);
+
+  const context = unbounded.createContext();
+  let longestOrder = 0;
+  for (const symbol of symbols) {
+    unbounded.addSymbolAndUpdate(context, symbol);
+    longestOrder = Math.max(longestOrder, context.order_);
+  }
+  assert(longestOrder > 3);
+
+  // Forgetting the last phrase also undoes the counts of the long contexts.
+  const before = Array.from(new Uint8Array(unbounded.serialize()));
+  const phrase = Array.from(phrases[0]).map(ch => vocabulary.getSymbol(ch));
+  const learned = unbounded.cloneContext(context);
+  phrase.forEach(symbol => unbounded.addSymbolAndUpdate(learned, symbol));
+  unbounded.forget(phrase, { context });
+  assert.deepStrictEqual(Array.from(new Uint8Array(unbounded.serialize())), before);
+});
+
+test('PPM* maxContextLength limits the context length', () => {
+  const vocabulary = new Vocabulary();
+  const symbols = Array.from('please call my daughter. '.repeat(20))
+    .map(ch => vocabulary.addSymbol(ch));
+  const unlimited = new PPMLanguageModel(vocabulary, 3, { unbounded: true });
+  const limited = new PPMLanguageModel(vocabulary, 3, { unbounded: true, maxContextLength: 6 });
+  const context = limited.createContext();
+  for (const symbol of symbols) {
+    limited.addSymbolAndUpdate(context, symbol);
+    assert(context.order_ <= 6);
+  }
+  unlimited.evaluate(symbols, { adaptive: true });
+  assert(limited.getStats().numNodes < unlimited.getStats().numNodes);
+
+  const restored = PPMLanguageModel.deserialize(limited.serialize());
+  assert.strictEqual(restored.unbounded_, true);
+  assert.strictEqual(restored.maxContextLength_, 6);
+  assert.throws(() => new PPMLanguageModel(vocabulary, 3, { maxContextLength: -1 }),
+    /maxContextLength/);
+
+  const predictor = createPredictor({ ppmUnbounded: true, ppmMaxContextLength: 8 });
+  predictor.train('please call my daughter. '.repeat(10));
+  assert.strictEqual(predictor.model.maxContextLength_, 8);
+  predictor.updateConfig({ ppmUnbounded: false });
+  assert.strictEqual(predictor.model.unbounded_, false);
+});
+
+test('PPM getProb and getTopK match getProbs', () => {
+  for (const options of [{}, { useExclusion: false }, { method: 'b' }, { unbounded: true }]) {
+    const vocabulary = new Vocabulary();
+    const symbols = Array.from('the cat sat on the mat, the cat ate the rat. ')
+      .map(ch => vocabulary.addSymbol(ch));
+    const model = new PPMLanguageModel(vocabulary, 3, options);
+    const context = model.createContext();
+    symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+    const query = model.createContext();
+    for (const symbol of symbols.slice(0, 12)) {
+      const probs = model.getProbs(query);
+      for (let i = 1; i < probs.length; i++) {
+        assert(Math.abs(model.getProb(query, i) - probs[i]) < 1e-12);
+      }
+      const top = model.getTopK(query, 4);
+      const expected = probs.slice(1).sort((a, b) => b - a).slice(0, 4);
+      assert.strictEqual(top.length, 4);
+      top.forEach((entry, i) => {
+        assert(Math.abs(entry.probability - expected[i]) < 1e-12);
+        assert(Math.abs(entry.probability - probs[entry.symbol]) < 1e-12);
+      });
+      model.addSymbolToContext(query, symbol);
+    }
+  }
+});
+
+test('PPM getTopK includes unseen symbols', () => {
+  const vocabulary = new Vocabulary();
+  ['a', 'b', 'c', 'd'].forEach(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 2);
+  // Untrained, every symbol is equally likely and ties go to the lower symbol.
+  assert.deepStrictEqual(model.getTopK(model.createContext(), 2).map(entry => entry.symbol), [1, 2]);
+
+  const context = model.createContext();
+  [3, 3, 3].forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+  const top = model.getTopK(model.createContext(), 10);
+  assert.deepStrictEqual(top.map(entry => entry.symbol), [3, 1, 2, 4]);
+  const total = top.reduce((sum, entry) => sum + entry.probability, 0);
+  assert(Math.abs(total - 1) < 1e-12);
+  assert.deepStrictEqual(model.getTopK(context, 0), []);
+  assert.throws(() => model.getProb(context, 0), /Invalid symbol/);
+});
+
+test('PPM getProbs renormalizes over allowed symbols', () => {
+  for (const useExclusion of [true, false]) {
+    const vocabulary = new Vocabulary();
+    const symbols = Array.from('call 911 or call 999 now. call me at 5. ')
+      .map(ch => vocabulary.addSymbol(ch));
+    const model = new PPMLanguageModel(vocabulary, 3, { useExclusion });
+    const context = model.createContext();
+    symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+    const letters = Array.from('acllmnotw ').map(ch => vocabulary.getSymbol(ch))
+      .filter((symbol, i, all) => all.indexOf(symbol) === i);
+    const query = model.createContext();
+    Array.from('call ').forEach(ch => model.addSymbolToContext(query, vocabulary.getSymbol(ch)));
+    const full = model.getProbs(query);
+    const restricted = model.getProbs(query, { allowedSymbols: letters });
+    let total = 0;
+    restricted.forEach((probability, symbol) => {
+      if (letters.includes(symbol)) {
+        total += probability;
+        // Excluding the digits moves their mass to the allowed symbols.
+        assert(probability >= full[symbol]);
+      } else {
+        assert.strictEqual(probability, 0);
+      }
+    });
+    assert(Math.abs(total - 1) < 1e-12);
+    assert(restricted[vocabulary.getSymbol('m')] > full[vocabulary.getSymbol('m')]);
+    assert.throws(() => model.getProbs(query, { allowedSymbols: [] }), /allowedSymbols/);
+  }
+});
+
+test('predictNextCharacter restricts predictions to allowed characters', () => {
+  const predictor = createPredictor({ maxPredictions: 100 });
+  predictor.train('room 101, room 102 and room 103 are free. ');
+  predictor.addToContext('room ');
+  assert(/[0-9]/.test(predictor.predictNextCharacter()[0].text));
+
+  const predictions = predictor.predictNextCharacter(null, { allowedCharacters: 'abcdefr ' });
+  assert.deepStrictEqual(predictions.map(p => p.text).sort(), Array.from(' abcdefr').sort());
+  const total = predictions.reduce((sum, p) => sum + p.probability, 0);
+  assert(Math.abs(total - 1) < 1e-9);
+
+  predictor.addTrainingCorpus('other', 'a room with a view. ');
+  predictor.useAllCorpora();
+  const merged = predictor.predictNextCharacter('room ', { allowedCharacters: ['w', 'x'] });
+  assert.deepStrictEqual(merged.map(p => p.text).sort(), ['w', 'x']);
+  assert(Math.abs(merged[0].probability + merged[1].probability - 1) < 1e-9);
+  assert.throws(() => predictor.predictNextCharacter(null, { allowedCharacters: ['ab'] }),
+    /allowedCharacters/);
+});
+
+test('PPM ngrams iterates over every node of the trie', () => {
+  const vocabulary = new Vocabulary();
+  const symbols = Array.from('abracadabra').map(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 2);
+  const context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+  const ngrams = [...model.ngrams()];
+  assert.strictEqual(ngrams.length, model.getStats().numNodes - 1);
+  const spell = ids => ids.map(id => vocabulary.symbols_[id]).join('');
+  const br = ngrams.find(ngram => spell(ngram.context) === 'br');
+  assert.deepStrictEqual({ ...br, context: spell(br.context) },
+    { context: 'br', symbol: vocabulary.getSymbol('a'), count: 2, order: 2 });
+  for (const ngram of ngrams) {
+    assert.strictEqual(ngram.order, ngram.context.length);
+  }
+  assert.strictEqual([...model.ngrams({ maxOrder: 0 })].length, 5);
+  assert(ngrams.filter(ngram => ngram.count >= 2).length ===
+    [...model.ngrams({ minCount: 2 })].length);
+});
+
+test('N-gram tables and summaries describe a model', () => {
+  const vocabulary = new Vocabulary();
+  const symbols = Array.from('a\tb a\tb\n').map(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 2);
+  const context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+  const lines = toNgramTSV(model, { maxOrder: 1 }).trim().split('\n');
+  assert.strictEqual(lines[0], 'order\tcontext\tsymbol\tcount');
+  assert(lines.includes('1\ta\t\\t\t2'));
+  assert(lines.every(line => line.split('\t').length === 4));
+  const table = JSON.parse(toNgramJSON(model));
+  assert.strictEqual(table.maxOrder, 2);
+  assert.strictEqual(table.ngrams.length, model.getStats().numNodes - 1);
+  assert(table.ngrams.some(row => row.context === 'a\t' && row.symbol === 'b'));
+
+  const summary = summarizeNgrams(model, { topContexts: 1 });
+  assert.strictEqual(summary.orders.length, 3);
+  assert.strictEqual(summary.orders[0].numContexts, 1);
+  assert.strictEqual(summary.orders[0].branchingFactor, 5);
+  assert.strictEqual(summary.numNgrams, table.ngrams.length);
+  assert.strictEqual(summary.topContexts.length, 1);
+  assert(summary.topContexts[0].order > 0);
+
+  const predictor = createPredictor();
+  predictor.train('the cat sat on the mat');
+  predictor.addTrainingCorpus('dogs', 'the dog sat on the log');
+  assert(predictor.exportNgrams({ corpus: 'dogs' }).includes('\tdo\tg\t'));
+  const summaries = predictor.getNgramSummary();
+  assert.deepStrictEqual(Object.keys(summaries), ['default', 'dogs']);
+  assert.throws(() => predictor.exportNgrams({ format: 'xml' }), /format/);
+  assert.throws(() => predictor.exportNgrams({ corpus: 'cats' }), /does not exist/);
+});
+
+test('PPM toDot renders child and backoff edges', () => {
+  const vocabulary = new Vocabulary();
+  const symbols = Array.from('abab"').map(ch => vocabulary.addSymbol(ch));
+  const model = new PPMLanguageModel(vocabulary, 2);
+  const context = model.createContext();
+  symbols.forEach(symbol => model.addSymbolAndUpdate(context, symbol));
+
+  const dot = model.toDot();
+  assert(dot.startsWith('digraph PPM {'));
+  assert(dot.trim().endsWith('}'));
+  const childEdges = dot.match(/^ {2}n\d+ -> n\d+;$/gm);
+  const backoffEdges = dot.match(/^ {2}n\d+ -> n\d+ \[style=dashed.*\];$/gm);
+  assert.strictEqual(childEdges.length, model.getStats().numNodes - 1);
+  assert.strictEqual(backoffEdges.length, model.getStats().numNodes - 1);
+  assert(dot.includes('[label="a\\n2"]'));
+  assert(dot.includes('[label="\\"\\n1"]'));
+  assert(!dot.includes('color=red'));
+
+  // Backoff edges are only drawn to rendered nodes.
+  const shallow = model.toDot({ maxDepth: 1, showBackoff: true });
+  assert.strictEqual(shallow.match(/->/g).length, 2 * 3);
+  assert(!model.toDot({ showBackoff: false }).includes('dashed'));
+  const frequent = model.toDot({ minCount: 2 });
+  assert(!frequent.includes('label="\\"'));
+});
+
+test('Predictor generate is reproducible with a seed', () => {
+  const predictor = new Predictor();
+  predictor.train('the quick brown fox jumps over the lazy dog. '.repeat(5));
+  const stats = predictor.getPPMStats();
+
+  const first = predictor.generate({ prefix: 'the ', maxLength: 40, seed: 7 });
+  assert.strictEqual(first.length, 40);
+  assert.strictEqual(predictor.generate({ prefix: 'the ', maxLength: 40, seed: 7 }), first);
+  assert.notStrictEqual(predictor.generate({ prefix: 'the ', maxLength: 40, seed: 8 }), first);
+  assert.deepStrictEqual(predictor.getPPMStats(), stats);
+
+  // Always taking the most probable character follows the training text.
+  assert.strictEqual(predictor.generate({ prefix: 'the quick ', temperature: 0, stopAt: ' ' }), 'brown ');
+  assert.strictEqual(
+    predictor.generate({ prefix: 'the lazy ', topK: 1, seed: 3, stopAt: ['.', '!'] }), 'dog.');
+  assert.strictEqual(predictor.generate({ maxLength: 0 }), '');
+});
+
+test('Predictor generate samples from the chosen corpora', () => {
+  const predictor = new Predictor();
+  predictor.train('aaaa aaaa aaaa aaaa ');
+  predictor.addTrainingCorpus('other', 'bbbb bbbb bbbb bbbb ');
+
+  assert(/^[ab ]+$/.test(predictor.generate({ maxLength: 50, topK: 3, seed: 1 })));
+  const other = predictor.generate({ corpora: 'other', maxLength: 50, topK: 2, seed: 1 });
+  assert(/^[b ]+$/.test(other), `Expected only 'b' and spaces, got '${other}'`);
+
+  assert.throws(() => predictor.generate({ corpora: 'missing' }), /does not exist/);
+  assert.throws(() => predictor.generate({ corpora: [] }), /required for generation/);
+  assert.throws(() => predictor.generate({ temperature: -1 }), /temperature/);
+  assert.throws(() => predictor.generate({ seed: 1.5 }), /seed must be an integer/);
+});
+
+test('PPM eviction keeps learning new contexts at the node budget', () => {
+  const vocabulary = new Vocabulary();
+  const oldText = 'the quick brown fox jumps over the lazy dog. '.repeat(4);
+  const newText = 'pack my box with five dozen liquor jugs! '.repeat(4);
+  for (const ch of oldText + newText) {
+    vocabulary.addSymbol(ch);
+  }
+  const symbols = text => Array.from(text, ch => vocabulary.getSymbol(ch));
+
+  const train = (options) => {
+    const model = new PPMLanguageModel(vocabulary, 4, { maxNodes: 150, ...options });
+    const context = model.createContext();
+    for (const symbol of symbols(oldText + newText)) {
+      model.addSymbolAndUpdate(context, symbol);
+    }
+    return model;
+  };
+  const capped = train({});
+  const cappedBits = capped.evaluate(symbols(newText)).bitsPerSymbol;
+  assert.strictEqual(capped.getStats().evictedNodes, 0);
+
+  for (const options of [
+    { evictionPolicy: 'lru' },
+    { evictionPolicy: 'lowest-count' },
+    { evictionPolicy: 'lru', unbounded: true, updateExclusion: false }]) {
+    const model = train(options);
+    const stats = model.getStats();
+    assert(stats.numNodes <= 150, `Expected numNodes <= 150, got ${stats.numNodes}`);
+    assert(stats.evictedNodes > 0, 'Expected evicted nodes');
+
+    // Every surviving node backs off to a surviving node.
+    const nodes = model.nodes_;
+    const live = new Set();
+    const stack = [0];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      live.add(node);
+      for (let child = nodes.child_[node]; child !== -1; child = nodes.next_[child]) {
+        stack.push(child);
+      }
+    }
+    assert.strictEqual(live.size, stats.numNodes);
+    for (const node of live) {
+      assert(node === 0 || live.has(nodes.backoff_[node]), `Dangling backoff of node ${node}`);
+    }
+    assert(model.evaluate(symbols(newText)).bitsPerSymbol < cappedBits);
+
+    const restored = PPMLanguageModel.deserialize(model.serialize());
+    assert.strictEqual(restored.evictionPolicy_, options.evictionPolicy);
+    assert.strictEqual(restored.getStats().evictedNodes, stats.evictedNodes);
+  }
+
+  assert.throws(() => new PPMLanguageModel(vocabulary, 4, { evictionPolicy: 'fifo' }),
+    /evictionPolicy must be one of/);
+  const predictor = new Predictor({ ppmMaxNodes: 100, ppmEvictionPolicy: 'lowest-count' });
+  predictor.train(oldText + newText);
+  assert(predictor.getPPMStats().default.evictedNodes > 0);
+});
+
+test('Predictor deleteFromContext and setContext restore earlier contexts', () => {
+  const predictor = new Predictor();
+  predictor.train('the quick brown fox jumps over the lazy dog. the cat sat on the mat. ');
+  const predictionsAfter = (text) => {
+    const fresh = new Predictor();
+    fresh.train('the quick brown fox jumps over the lazy dog. the cat sat on the mat. ');
+    fresh.addToContext(text);
+    return fresh.predictNextCharacter();
+  };
+
+  predictor.addToContext('the qu');
+  const before = predictor.predictNextCharacter();
+  predictor.addToContext('ick');
+  assert.strictEqual(predictor.deleteFromContext(3), 'ick');
+  assert.deepStrictEqual(predictor.predictNextCharacter(), before);
+
+  predictor.setContext('the quick b');
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictionsAfter('the quick b'));
+  predictor.setContext('the cat s');
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictionsAfter('the cat s'));
+
+  // Deletions survive a snapshot, replaying the remaining text.
+  const restored = Predictor.fromSnapshot(JSON.stringify(predictor));
+  assert.strictEqual(restored.deleteFromContext(2), ' s');
+  assert.deepStrictEqual(restored.predictNextCharacter(), predictionsAfter('the cat'));
+
+  assert.strictEqual(predictor.deleteFromContext(100), 'the cat s');
+  assert.strictEqual(predictor.deleteFromContext(), '');
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictionsAfter(''));
+  assert.throws(() => predictor.deleteFromContext(-1), /non-negative integer/);
+});
+
+test('Predictor rolls back adaptive updates of deleted characters', () => {
+  const predictor = new Predictor({ adaptive: true, adaptiveRollback: true });
+  predictor.train('hello world. hello there. ');
+  predictor.addToContext('hello ');
+  const model = Buffer.from(predictor.model.serialize());
+
+  predictor.addToContext('wrold');
+  assert(!Buffer.from(predictor.model.serialize()).equals(model));
+  predictor.deleteFromContext(5);
+  assert(Buffer.from(predictor.model.serialize()).equals(model));
+
+  predictor.setContext('hello zz');
+  predictor.setContext('hello ');
+  assert(Buffer.from(predictor.model.serialize()).equals(model));
+
+  // Without rollback the deleted characters stay learned.
+  predictor.addToContext('zz');
+  predictor.deleteFromContext(2, { rollback: false });
+  assert(!Buffer.from(predictor.model.serialize()).equals(model));
+});
+
+test('Predictor predictAt re-ranks candidates with the text after the cursor', () => {
+  const predictor = new Predictor();
+  predictor.train('the cat sat on the mat. the cap fell on the floor. '.repeat(3));
+
+  const cat = predictor.predictAt('the ca sat on the mat', 6);
+  assert.strictEqual(cat.partialWord, 'ca');
+  assert.strictEqual(cat.characters[0].text, 't');
+  assert.strictEqual(cat.words[0].text, 'cat');
+  const cap = predictor.predictAt('the ca fell on the floor', 6);
+  assert.strictEqual(cap.characters[0].text, 'p');
+  assert.strictEqual(cap.words[0].text, 'cap');
+  const sum = cap.characters.reduce((total, prediction) => total + prediction.probability, 0);
+  assert(sum > 0.99 && sum <= 1 + 1e-9, `Expected re-ranked probabilities to add up to 1, got ${sum}`);
+
+  // Inserting a word after a space uses the next-word candidates.
+  assert.strictEqual(predictor.predictAt('the  fell on the floor', 4).words[0].text, 'cap');
+});
+
+test('Predictor predictAt at the end of the text matches the plain predictions', () => {
+  const predictor = new Predictor();
+  predictor.train('the quick brown fox jumps over the lazy dog. ');
+
+  const result = predictor.predictAt('the qu and more', 6, { rightContextLength: 0 });
+  assert.deepStrictEqual(result.characters, predictor.predictNextCharacter('the qu'));
+  assert.deepStrictEqual(result.words, predictor.predictWordCompletion('qu', 'the '));
+  assert.deepStrictEqual(predictor.predictAt('the qu', 6), result);
+  assert.deepStrictEqual(predictor.predictAt('the ', 4).words, predictor.predictNextWord('the'));
+
+  assert.throws(() => predictor.predictAt('abc', 4), /cursorIndex/);
+  assert.throws(() => predictor.predictAt('abc', -1), /cursorIndex/);
+});
+
+test('Predictor mixes corpus character predictions by weight', () => {
+  const predictor = new Predictor({ maxPredictions: 200 });
+  predictor.train('abababab abab abba');
+  predictor.addTrainingCorpus('other', 'acacacac acac acca', { weight: 3 });
+  assert.strictEqual(predictor.getCorpusInfo('other').weight, 3);
+
+  const probsOf = (corpora) => {
+    predictor.useCorpora(corpora);
+    const probs = {};
+    for (const { text, probability } of predictor.predictNextCharacter('a')) {
+      probs[text] = probability;
+    }
+    return probs;
+  };
+  const base = probsOf('default');
+  const other = probsOf('other');
+  const mixed = probsOf(['default', 'other']);
+  for (const char of ['b', 'c', ' ']) {
+    assert.ok(Math.abs(mixed[char] - (0.25 * base[char] + 0.75 * other[char])) < 1e-9);
+  }
+
+  predictor.setCorpusWeights({ default: 1, other: 1 });
+  const even = probsOf(['default', 'other']);
+  assert.ok(Math.abs(even.b - (base.b + other.b) / 2) < 1e-9);
+
+  assert.throws(() => predictor.setCorpusWeights({ missing: 1 }), /does not exist/);
+  assert.throws(() => predictor.setCorpusWeights({ other: 0 }), /positive number/);
+  assert.throws(() => predictor.addTrainingCorpus('bad', 'text', { weight: -1 }), /positive number/);
+});
+
+test('Predictor mixes next-word predictions by corpus weight', () => {
+  const predictor = new Predictor();
+  predictor.train('hello world');
+  predictor.addTrainingCorpus('chat', 'hello there');
+  predictor.useCorpora('chat');
+  predictor.train('hello there');
+  predictor.useCorpora(['default', 'chat']);
+  predictor.setCorpusWeights({ default: 1, chat: 3 });
+
+  const predictions = predictor.predictNextWord('hello');
+  assert.deepStrictEqual(predictions.map(p => p.text), ['there', 'world']);
+  assert.ok(Math.abs(predictions[0].probability - 0.75) < 1e-9);
+  assert.ok(Math.abs(predictions[1].probability - 0.25) < 1e-9);
+  assert.deepStrictEqual(predictor.getBigramStats(), { uniqueBigrams: 1, totalBigrams: 1 });
+  assert.deepStrictEqual(predictor.getBigramStats({ corpus: 'chat' }), { uniqueBigrams: 1, totalBigrams: 2 });
+  assert.strictEqual(predictor.exportBigrams({ corpus: 'chat' }), 'hello there 2');
+  assert.throws(() => predictor.exportBigrams({ corpus: 'missing' }), /does not exist/);
+
+  const restored = Predictor.fromSnapshot(JSON.stringify(predictor));
+  assert.strictEqual(restored.getCorpusInfo('chat').weight, 3);
+  assert.deepStrictEqual(restored.predictNextWord('hello'), predictions);
+});
+
+test('Predictor adapts corpus weights to the text typed', () => {
+  const chat = 'how are you doing today? fine thanks, see you later. ';
+  const medical = 'the patient was given 5 mg of morphine for the pain. ';
+  const predictor = new Predictor({ adaptiveCorpusWeights: true });
+  predictor.train(chat.repeat(5));
+  predictor.addTrainingCorpus('medical', medical.repeat(5), { weight: 3 });
+  assert.deepStrictEqual(predictor.getCorpusWeights(), { default: 0.25, medical: 0.75 });
+
+  predictor.addToContext('how are you doing ');
+  const afterChat = predictor.getCorpusWeights();
+  assert.ok(afterChat.default > 0.9);
+  assert.ok(Math.abs(afterChat.default + afterChat.medical - 1) < 1e-9);
+
+  predictor.resetContext();
+  predictor.addToContext('the patient was given ');
+  assert.ok(predictor.getCorpusWeights().medical > 0.9);
+  const restored = Predictor.fromSnapshot(JSON.stringify(predictor));
+  assert.deepStrictEqual(restored.getCorpusWeights(), predictor.getCorpusWeights());
+
+  predictor.setCorpusWeights({ medical: 1 });
+  assert.deepStrictEqual(predictor.getCorpusWeights(), { default: 0.5, medical: 0.5 });
+  predictor.updateConfig({ adaptiveCorpusWeights: false });
+  predictor.addToContext('how are you ');
+  assert.deepStrictEqual(predictor.getCorpusWeights(), { default: 0.5, medical: 0.5 });
+});
+
+test('Predictor keeps the live context of every corpus in step', () => {
+  const predictor = new Predictor();
+  predictor.train('the quick brown fox jumps over the lazy dog. '.repeat(3));
+  predictor.addTrainingCorpus('medical', 'the patient was given morphine for pain. '.repeat(3));
+
+  predictor.addToContext('the patient');
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictor.predictNextCharacter('the patient'));
+
+  predictor.useCorpora('medical');
+  assert.strictEqual(predictor.context, predictor._corpora.medical.context);
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictor.predictNextCharacter('the patient'));
+
+  predictor.useAllCorpora();
+  predictor.deleteFromContext(4);
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictor.predictNextCharacter('the pat'));
+
+  predictor.resetContext();
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictor.predictNextCharacter(''));
+});
+
+test('Predictor rollback leaves a replaced corpus unchanged', () => {
+  const text = 'see you at the physio on monday. '.repeat(3);
+  const replace = (predictor) => {
+    predictor.addTrainingCorpus('personal', 'see you soon. ');
+    predictor.useCorpora('personal');
+    predictor.addToContext('see you ');
+  };
+
+  let predictor = new Predictor({ adaptive: true, adaptiveRollback: true });
+  replace(predictor);
+  predictor.addTrainingCorpus('personal', text);
+  let serialized = predictor._corpora.personal.model.serialize();
+  predictor.deleteFromContext(4);
+  assert.deepStrictEqual(predictor._corpora.personal.model.serialize(), serialized);
+
+  predictor = new Predictor({ adaptive: true, adaptiveRollback: true });
+  replace(predictor);
+  predictor.removeCorpus('personal');
+  predictor.addTrainingCorpus('personal', text);
+  serialized = predictor._corpora.personal.model.serialize();
+  predictor.deleteFromContext(4);
+  assert.deepStrictEqual(predictor._corpora.personal.model.serialize(), serialized);
+});
+
+test('Predictor word completion and next word follow the corpus weights', () => {
+  const predictor = new Predictor();
+  predictor.train('we had pasta for dinner. the pasta was great. '.repeat(3));
+  predictor.addTrainingCorpus('medical', 'the patient was in pain. the patient is resting. '.repeat(3));
+  assert.deepStrictEqual(predictor.getBigramStats({ corpus: 'medical' }), { uniqueBigrams: 8, totalBigrams: 26 });
+  assert.ok(predictor.exportBigrams({ corpus: 'medical' }).includes('the patient 6'));
+  assert.throws(() => predictor.getBigramStats({ corpus: 'missing' }), /does not exist/);
+
+  predictor.setCorpusWeights({ default: 1, medical: 9 });
+  assert.ok(predictor.predictWordCompletion('pa', 'the ')[0].text.startsWith('pati'));
+  assert.strictEqual(predictor.predictNextWord('the')[0].text, 'patient');
+
+  predictor.setCorpusWeights({ default: 9, medical: 1 });
+  assert.ok(predictor.predictWordCompletion('pa', 'the ')[0].text.startsWith('pas'));
+  const next = predictor.predictNextWord('the');
+  assert.deepStrictEqual(next.map(p => p.text), ['pasta', 'patient']);
+  assert.ok(Math.abs(next[0].probability - 0.9) < 1e-9);
+});
+
+test('Predictor appendToCorpus extends a corpus in place', () => {
+  const predictor = new Predictor();
+  predictor.addTrainingCorpus('personal', 'see you at the physio on monday. ');
+  const before = predictor.getPPMStats().personal.numNodes;
+
+  predictor.appendToCorpus('personal', 'see you at the physio on friday. ');
+  assert.ok(predictor.getPPMStats().personal.numNodes > before);
+  assert.strictEqual(predictor.getBigramStats({ corpus: 'personal' }).totalBigrams, 12);
+  const next = predictor.predictNextWord('on');
+  assert.deepStrictEqual(next.map(p => p.text).sort(), ['friday.', 'monday.']);
+
+  assert.throws(() => predictor.appendToCorpus('missing', 'text'), /does not exist/);
+  assert.throws(() => predictor.appendToCorpus('personal', ''), /non-empty string/);
+});
+
+test('Predictor addLexiconWords extends a corpus lexicon in place', () => {
+  const lexicon = ['hello', 'help'];
+  const predictor = new Predictor({ lexicon, errorTolerant: true });
+  assert.strictEqual(predictor.addLexiconWords('default', ['helicopter', 'Hello', 'hero']), 2);
+  assert.deepStrictEqual(lexicon, ['hello', 'help']);
+  assert.deepStrictEqual(predictor.getConfig().lexicon, ['hello', 'help', 'helicopter', 'hero']);
+
+  const completions = predictor.predictWordCompletion('heli').map(p => p.text);
+  assert.ok(completions.includes('helicopter'));
+  assert.ok(predictor.predictWordCompletion('herp').some(p => p.text === 'hero'));
+
+  predictor.addTrainingCorpus('medical', 'the patient is resting.', { lexicon: ['patient'] });
+  predictor.addLexiconWords('medical', ['physiotherapy']);
+  assert.strictEqual(predictor.predictWordCompletion('physio')[0].text, 'physiotherapy');
+  assert.throws(() => predictor.addLexiconWords('missing', ['word']), /does not exist/);
+  assert.throws(() => predictor.addLexiconWords('medical', 'word'), /array of strings/);
+});
+
+test('Predictor rollback survives snapshots within the rollback depth', () => {
+  const predictor = new Predictor({ adaptive: true, adaptiveRollback: true, rollbackDepth: 4 });
+  predictor.train('hello world. hello there. ');
+  predictor.addToContext('hello ');
+  const model = Buffer.from(predictor.model.serialize());
+  predictor.addToContext('wrld');
+
+  const snapshot = predictor.toJSON();
+  assert.strictEqual(snapshot.context.text, 'hello wrld');
+  assert.deepStrictEqual(snapshot.context.rollback.map(entry => entry.position), [6, 7, 8, 9]);
+  const restored = Predictor.fromSnapshot(JSON.stringify(snapshot));
+  restored.deleteFromContext(4);
+  predictor.deleteFromContext(4);
+  assert(Buffer.from(restored.model.serialize()).equals(model));
+  assert(Buffer.from(predictor.model.serialize()).equals(model));
+  assert.deepStrictEqual(restored.predictNextCharacter(), predictor.predictNextCharacter());
+
+  // Older characters lose their saved contexts: deleting them replays the
+  // text and keeps what they taught the model.
+  assert.ok(predictor._contextHistory.every(entry => Object.keys(entry.contexts).length === 0));
+  assert.strictEqual(predictor.deleteFromContext(3), 'lo ');
+  assert(Buffer.from(predictor.model.serialize()).equals(model));
+  assert.deepStrictEqual(predictor.predictNextCharacter(), predictor.predictNextCharacter('hel'));
+
+  predictor.addToContext('xy');
+  predictor.updateConfig({ rollbackDepth: 1 });
+  assert.deepStrictEqual(predictor._contextHistory.map(entry => entry.learned),
+    [null, null, null, null, 'default']);
+});
+
+test('Predictor predictAt leaves the vocabulary unchanged', () => {
+  const predictor = new Predictor();
+  predictor.train('the cat sat on the mat. the cap fell on the floor. '.repeat(3));
+  const vocabSize = predictor.vocab.size();
+
+  const result = predictor.predictAt('\u00e9 the ca sat on the mat \u20ac', 8);
+  assert.strictEqual(result.characters[0].text, 't');
+  assert.strictEqual(result.words[0].text, 'cat');
+  predictor.generate('\u20ac the ', { maxLength: 5, seed: 1 });
+  assert.strictEqual(predictor.vocab.size(), vocabSize);
+});
+
 console.log();
 console.log('='.repeat(60));
 console.log(`Tests Passed: ${testsPassed}`);